@@ -0,0 +1,307 @@
+const fs = require('fs');
+const wav = require('wav');
+const { config } = require("./config");
+const { apiError } = require('./errors');
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Bytes 4-15 shared by the standard KSDATAFORMAT_SUBTYPE GUIDs; bytes 0-3 hold the plain format code
+const SUBFORMAT_GUID_TAIL = Buffer.from('00001000800000aa00389b71', 'hex');
+// Enough of a WAV to reach its fmt and data chunk headers
+const WAV_HEADER_BYTES = 4096;
+
+// G.711 decoders, output in the -1..1 range
+function decodeMulaw(byte) {
+  const u = ~byte & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return (sign ? -magnitude : magnitude) / 32768;
+}
+
+function decodeAlaw(byte) {
+  const a = byte ^ 0x55;
+  const sign = a & 0x80;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = a & 0x0f;
+  let magnitude = exponent === 0
+    ? (mantissa << 4) + 8
+    : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return (sign ? magnitude : -magnitude) / 32768;
+}
+
+// Where a RIFF chunk's data starts and how long it is; null when the buffer does not reach it
+function findChunk(buffer, chunkId, le) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = le ? buffer.readUInt32LE(offset + 4) : buffer.readUInt32BE(offset + 4);
+    if (buffer.toString('ascii', offset, offset + 4) === chunkId) return { offset: offset + 8, size };
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// WAVE_FORMAT_EXTENSIBLE keeps the real encoding in the SubFormat GUID at the end of the fmt chunk.
+// Returns its format code, or null when the fmt chunk is too short or the GUID is not a standard one.
+function extensibleSubFormat(buffer, endianness) {
+  const le = endianness !== 'BE';
+  const fmt = findChunk(buffer, 'fmt ', le);
+  if (!fmt || fmt.size < 40 || fmt.offset + 40 > buffer.length) return null;
+  const guid = buffer.subarray(fmt.offset + 24, fmt.offset + 40);
+  if (!guid.subarray(4).equals(SUBFORMAT_GUID_TAIL)) return null;
+  return le ? guid.readUInt32LE(0) : guid.readUInt32BE(0);
+}
+
+// Parse the WAV header and collect the raw sample data
+function readWav(buffer) {
+  return new Promise((resolve, reject) => {
+    const reader = new wav.Reader();
+    const chunks = [];
+    let format = null;
+
+    reader.on('format', (f) => (format = f));
+    reader.on('data', (chunk) => chunks.push(chunk));
+    reader.on('error', (err) => reject(apiError('AUDIO_INVALID', `Corrupt WAV file: ${err.message}`)));
+    reader.on('end', () => {
+      if (!format) {
+        reject(apiError('AUDIO_INVALID', 'Corrupt WAV file: missing format header'));
+        return;
+      }
+      if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+        const subFormat = extensibleSubFormat(buffer, format.endianness);
+        if (subFormat !== null) format = { ...format, audioFormat: subFormat, extensible: true };
+      }
+      resolve({ format, data: Buffer.concat(chunks) });
+    });
+
+    reader.end(buffer);
+  });
+}
+
+// Convert interleaved sample data into one Float32Array per channel
+function toChannels(format, data) {
+  const { audioFormat, bitDepth, channels, endianness } = format;
+  const le = endianness !== 'BE';
+  const bytesPerSample = bitDepth / 8;
+
+  if (!channels || !Number.isInteger(bytesPerSample) || bytesPerSample < 1) {
+    throw apiError('AUDIO_INVALID', `Corrupt WAV file: invalid format (${channels} channels, ${bitDepth}-bit)`);
+  }
+
+  let readSample;
+  const isFloat = audioFormat === WAVE_FORMAT_IEEE_FLOAT;
+  const isPcm = audioFormat === WAVE_FORMAT_PCM;
+
+  if (audioFormat === WAVE_FORMAT_MULAW && bitDepth === 8) {
+    readSample = (offset) => decodeMulaw(data[offset]);
+  } else if (audioFormat === WAVE_FORMAT_ALAW && bitDepth === 8) {
+    readSample = (offset) => decodeAlaw(data[offset]);
+  } else if (isFloat && bitDepth === 32) {
+    readSample = (offset) => (le ? data.readFloatLE(offset) : data.readFloatBE(offset));
+  } else if (isFloat && bitDepth === 64) {
+    readSample = (offset) => (le ? data.readDoubleLE(offset) : data.readDoubleBE(offset));
+  } else if (isPcm && bitDepth === 8) {
+    readSample = (offset) => (data[offset] - 128) / 128;
+  } else if (isPcm && bitDepth === 16) {
+    readSample = (offset) => (le ? data.readInt16LE(offset) : data.readInt16BE(offset)) / 32768;
+  } else if (isPcm && bitDepth === 24) {
+    readSample = (offset) => (le ? data.readIntLE(offset, 3) : data.readIntBE(offset, 3)) / 8388608;
+  } else if (isPcm && bitDepth === 32) {
+    readSample = (offset) => (le ? data.readInt32LE(offset) : data.readInt32BE(offset)) / 2147483648;
+  } else {
+    throw apiError('AUDIO_UNSUPPORTED', `Unsupported WAV encoding (format 0x${audioFormat.toString(16)}, ${bitDepth}-bit)`);
+  }
+
+  const frameSize = bytesPerSample * channels;
+  const frames = Math.floor(data.length / frameSize);
+  const output = [];
+  for (let c = 0; c < channels; c++) output.push(new Float32Array(frames));
+
+  for (let i = 0; i < frames; i++) {
+    const base = i * frameSize;
+    for (let c = 0; c < channels; c++) {
+      output[c][i] = readSample(base + c * bytesPerSample);
+    }
+  }
+  return output;
+}
+
+function downmix(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = channels[0].length;
+  const mono = new Float32Array(length);
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) mono[i] += channel[i];
+  }
+  for (let i = 0; i < length; i++) mono[i] /= channels.length;
+  return mono;
+}
+
+// Linear interpolation, averaging the covered input span when downsampling
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(samples.length, Math.floor(position + ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      output[i] = sum / Math.max(1, end - start);
+    } else {
+      const index = Math.floor(position);
+      const frac = position - index;
+      const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+      output[i] = samples[index] + (next - samples[index]) * frac;
+    }
+  }
+  return output;
+}
+
+function floatToInt16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(clamped * 32767), i * 2);
+  }
+  return buffer;
+}
+
+function pcm16ToFloat(buffer) {
+  const samples = new Float32Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(i * 2) / 32768;
+  return samples;
+}
+
+// 16-bit mono PCM wrapped in a canonical 44-byte WAV header
+function encodeWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Format fields and data size from the start of a WAV; fileSize stands in for a data size that a
+// streamed header leaves unset
+function parseWavHeader(header, fileSize = header.length) {
+  const magic = header.toString('ascii', 0, 4);
+  if (magic !== 'RIFF' && magic !== 'RIFX') {
+    throw apiError('AUDIO_UNSUPPORTED', 'Unsupported audio type: not a WAV file');
+  }
+  const le = magic === 'RIFF';
+  const fmt = findChunk(header, 'fmt ', le);
+  if (!fmt || fmt.size < 16 || fmt.offset + 16 > header.length) {
+    throw apiError('AUDIO_INVALID', 'Corrupt WAV file: missing format header');
+  }
+  const uint16 = (offset) => (le ? header.readUInt16LE(offset) : header.readUInt16BE(offset));
+  const uint32 = (offset) => (le ? header.readUInt32LE(offset) : header.readUInt32BE(offset));
+  const data = findChunk(header, 'data', le);
+  let dataBytes = null;
+  if (data) {
+    const available = Math.max(0, fileSize - data.offset);
+    dataBytes = data.size === 0 || data.size === 0xffffffff ? available : Math.min(data.size, available);
+  }
+  return {
+    channels: uint16(fmt.offset + 2),
+    sampleRate: uint32(fmt.offset + 4),
+    byteRate: uint32(fmt.offset + 8),
+    bitDepth: uint16(fmt.offset + 14),
+    dataBytes,
+  };
+}
+
+// Decoding keeps several float copies of the audio in memory and blocks the event loop while it
+// runs, so WAVs longer than audioDecodeMaxSeconds are refused from their header, before any of it
+function checkDecodeLimit(info) {
+  const limit = Number(config.audioDecodeMaxSeconds);
+  if (!(limit > 0) || !info.dataBytes || !info.byteRate) return;
+  const seconds = info.dataBytes / info.byteRate;
+  if (seconds > limit) {
+    throw apiError('AUDIO_TOO_LONG', `Audio is ${Math.round(seconds)} s long; at most ${limit} s can be decoded`);
+  }
+}
+
+// Decode a WAV into 16-bit mono PCM at the requested sample rate (source rate when omitted)
+async function decodeAudioBuffer(buffer, targetRate = 16000) {
+  if (!buffer || buffer.length === 0) {
+    throw apiError('AUDIO_EMPTY', 'Audio file is empty');
+  }
+  const magic = buffer.slice(0, 4).toString('ascii');
+  if (magic !== 'RIFF' && magic !== 'RIFX') {
+    throw apiError('AUDIO_UNSUPPORTED', 'Unsupported audio type: only WAV uploads can be decoded');
+  }
+  checkDecodeLimit(parseWavHeader(buffer));
+
+  const { format, data } = await readWav(buffer);
+  const mono = downmix(toChannels(format, data));
+  if (!mono.length) {
+    throw apiError('AUDIO_EMPTY', 'WAV file contains no audio samples');
+  }
+  if (!format.sampleRate) {
+    throw apiError('AUDIO_INVALID', 'Corrupt WAV file: sample rate is zero');
+  }
+
+  const outputRate = targetRate || format.sampleRate;
+  const samples = resample(mono, format.sampleRate, outputRate);
+  return {
+    pcm: floatToInt16(samples),
+    sampleRate: outputRate,
+    duration: samples.length / outputRate,
+    source: {
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      bitDepth: format.bitDepth,
+    },
+  };
+}
+
+// Sample rate, channels, bit depth and data size of a WAV file, reading only its header
+async function readWavFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(WAV_HEADER_BYTES), 0, WAV_HEADER_BYTES, 0);
+    if (!bytesRead) throw apiError('AUDIO_EMPTY', 'Audio file is empty');
+    return parseWavHeader(buffer.subarray(0, bytesRead), size);
+  } finally {
+    await handle.close();
+  }
+}
+
+// The header is checked against the decode limit before the file is read into memory
+async function decodeAudioFile(filePath, targetRate = 16000) {
+  checkDecodeLimit(await readWavFormat(filePath));
+  const buffer = await fs.promises.readFile(filePath);
+  return decodeAudioBuffer(buffer, targetRate);
+}
+
+module.exports = {
+  decodeAudioFile,
+  readWavFormat,
+  decodeAudioBuffer,
+  resample,
+  downmix,
+  floatToInt16,
+  pcm16ToFloat,
+  encodeWav,
+};
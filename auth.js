@@ -0,0 +1,255 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { config } = require("./config");
+const { apiError } = require('./errors');
+
+// Local key store, merged with config.apiKeys: [{ key, name, admin, requestsPerMinute, ... }]
+const KEY_STORE = 'config/api_keys.json';
+const LIMIT_FIELDS = ['requestsPerMinute', 'audioSecondsPerDay', 'charactersPerDay'];
+const MINUTE_MS = 60 * 1000;
+
+// sha256(key) -> { name, admin, limits }; usage is keyed by name so secrets never leave this module
+let clients = null;
+const usage = new Map();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function readKeyStore() {
+  if (!fs.existsSync(KEY_STORE)) return [];
+  const store = JSON.parse(fs.readFileSync(KEY_STORE, 'utf-8'));
+  return Array.isArray(store) ? store : store.keys || [];
+}
+
+// Limits fall back to config.apiKeyDefaults; a missing or zero limit means unlimited
+function loadKeys() {
+  const entries = [].concat(config.apiKeys || [], readKeyStore());
+  const defaults = config.apiKeyDefaults || {};
+  clients = new Map();
+  entries.forEach((entry, index) => {
+    const record = typeof entry === 'string' ? { key: entry } : entry;
+    if (!record || !record.key || record.disabled) return;
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+      const value = Number(record[field] ?? defaults[field]);
+      limits[field] = value > 0 ? value : null;
+    }
+    clients.set(hashKey(record.key), {
+      name: record.name || `key-${index + 1}`,
+      admin: Boolean(record.admin),
+      limits,
+    });
+  });
+  return clients;
+}
+
+function getClients() {
+  return clients || loadKeys();
+}
+
+// Auth is off until at least one key is configured
+function authEnabled() {
+  return getClients().size > 0;
+}
+
+// allowQuery: browsers cannot set headers on WebSocket upgrades, so only the stream accepts
+// ?apiKey=; anywhere else a key in the URL would end up in access and proxy logs
+function extractKey(req, { allowQuery = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  if (bearer) return bearer[1].trim();
+  if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim();
+  if (!allowQuery) return null;
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  return query.get('apiKey') || query.get('api_key') || null;
+}
+
+// Returns the client for a request, null when auth is disabled; throws 401 otherwise
+function authenticate(req, options = {}) {
+  if (!authEnabled()) return null;
+  const key = extractKey(req, options);
+  if (!key) throw apiError('UNAUTHORIZED', 'Missing API key', { 'WWW-Authenticate': 'Bearer' });
+  const client = getClients().get(hashKey(key));
+  if (!client) throw apiError('UNAUTHORIZED', 'Invalid API key', { 'WWW-Authenticate': 'Bearer' });
+  return client;
+}
+
+// Look a client up by name, for work that outlives its request (async jobs)
+function findClient(name) {
+  if (!name) return null;
+  for (const client of getClients().values()) {
+    if (client.name === name) return client;
+  }
+  return null;
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+}
+
+// Per-client counters: a sliding one-minute window of request times plus daily totals
+function usageFor(client, now = Date.now()) {
+  let entry = usage.get(client.name);
+  if (!entry) {
+    entry = { requests: [], totalRequests: 0, day: utcDay(now), audioSeconds: 0, characters: 0 };
+    usage.set(client.name, entry);
+  }
+  if (entry.day !== utcDay(now)) {
+    entry.day = utcDay(now);
+    entry.audioSeconds = 0;
+    entry.characters = 0;
+  }
+  while (entry.requests.length && entry.requests[0] <= now - MINUTE_MS) entry.requests.shift();
+  return entry;
+}
+
+function countRequest(client) {
+  const now = Date.now();
+  const entry = usageFor(client, now);
+  const limit = client.limits.requestsPerMinute;
+  if (limit && entry.requests.length >= limit) {
+    const retryAfter = Math.max(1, Math.ceil((entry.requests[0] + MINUTE_MS - now) / 1000));
+    throw apiError('RATE_LIMITED', `Rate limit exceeded: ${limit} requests per minute`, { 'Retry-After': String(retryAfter) });
+  }
+  entry.requests.push(now);
+  entry.totalRequests += 1;
+}
+
+const DAILY_FIELDS = {
+  audioSeconds: { limit: 'audioSecondsPerDay', label: 'audio seconds' },
+  characters: { limit: 'charactersPerDay', label: 'characters' },
+};
+
+// Throw 429 if adding amount would exceed the client's daily quota (amount 0 checks for exhaustion)
+function checkDaily(client, field, amount = 0) {
+  if (!client) return;
+  const { limit: limitField, label } = DAILY_FIELDS[field];
+  const limit = client.limits[limitField];
+  if (!limit) return;
+  const entry = usageFor(client);
+  const exceeded = amount > 0 ? entry[field] + amount > limit : entry[field] >= limit;
+  if (exceeded) {
+    throw apiError('QUOTA_EXCEEDED', `Daily quota exceeded: ${limit} ${label} per day`, {
+      'Retry-After': String(secondsUntilUtcMidnight()),
+    });
+  }
+}
+
+function recordDaily(client, field, amount) {
+  if (!client || !(amount > 0)) return;
+  usageFor(client)[field] += amount;
+}
+
+// Characters are known up front; they are checked before synthesis and charged after it
+function checkCharacters(req, count) {
+  checkDaily(req.apiClient, 'characters', count);
+}
+
+function recordCharacters(req, count) {
+  recordDaily(req.apiClient, 'characters', count);
+}
+
+function checkAudioQuota(req) {
+  checkDaily(req.apiClient, 'audioSeconds');
+}
+
+// Audio length is only known once decoded, so it is charged after the work is done
+function recordAudioSeconds(req, seconds) {
+  recordDaily(req.apiClient, 'audioSeconds', Math.round(seconds * 1000) / 1000);
+}
+
+// Authenticate and apply the per-minute limit; sets and returns req.apiClient
+function authorizeRequest(req, options = {}) {
+  const client = authenticate(req, options);
+  if (client) countRequest(client);
+  req.apiClient = client;
+  return client;
+}
+
+// Express middleware around authorizeRequest
+function requireApiKey(req, res, next) {
+  try {
+    authorizeRequest(req);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  next();
+}
+
+// Admin routes fail closed: without keys configured they stay shut unless config.adminWithoutKeys
+// opens them explicitly (for a server only reachable from trusted hosts)
+function requireAdmin(req, res, next) {
+  if (!authEnabled()) {
+    if (config.adminWithoutKeys) {
+      next();
+      return;
+    }
+    next(apiError('FORBIDDEN', 'Admin routes need an admin API key (or adminWithoutKeys in config.json)'));
+    return;
+  }
+  if (!req.apiClient || !req.apiClient.admin) {
+    next(apiError('FORBIDDEN', 'Admin API key required'));
+    return;
+  }
+  next();
+}
+
+function usageReport(client) {
+  const entry = usageFor(client);
+  const remaining = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+  return {
+    name: client.name,
+    admin: client.admin,
+    limits: client.limits,
+    minute: {
+      requests: entry.requests.length,
+      remaining: remaining(client.limits.requestsPerMinute, entry.requests.length),
+    },
+    day: {
+      date: entry.day,
+      audioSeconds: Math.round(entry.audioSeconds * 1000) / 1000,
+      characters: entry.characters,
+      remainingAudioSeconds: remaining(client.limits.audioSecondsPerDay, entry.audioSeconds),
+      remainingCharacters: remaining(client.limits.charactersPerDay, entry.characters),
+      resetsInSeconds: secondsUntilUtcMidnight(),
+    },
+    totalRequests: entry.totalRequests,
+  };
+}
+
+function listUsage() {
+  const seen = new Set();
+  const reports = [];
+  for (const client of getClients().values()) {
+    if (seen.has(client.name)) continue;
+    seen.add(client.name);
+    reports.push(usageReport(client));
+  }
+  return reports;
+}
+
+module.exports = {
+  loadKeys,
+  authEnabled,
+  authenticate,
+  authorizeRequest,
+  findClient,
+  requireApiKey,
+  requireAdmin,
+  checkDaily,
+  recordDaily,
+  checkCharacters,
+  recordCharacters,
+  checkAudioQuota,
+  recordAudioSeconds,
+  usageReport,
+  listUsage,
+};
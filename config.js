@@ -1,6 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const logger = console;
+
+// config/config.json, validated against SCHEMA with defaults filled in. Any key can be overridden
+// from the environment as APP_<KEY> in upper snake case (APP_PORT, APP_TTS_CACHE_MAX_BYTES), nested
+// keys with a double underscore (APP_VAD__ENABLED); arrays and objects are given as JSON.
+// APP_CONFIG_FILE points at a different config file. Keys marked restart are only read at startup.
+const CONFIG_FILE = path.join(__dirname, 'config', 'config.json');
+const ENV_PREFIX = 'APP_';
+
+const integer = (min, max, extra = {}) => ({ type: 'integer', min, max, ...extra });
+const number = (min, max, extra = {}) => ({ type: 'number', min, max, ...extra });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const oneOf = (values, extra = {}) => ({ type: 'enum', values, ...extra });
+
+const SCHEMA = {
+  port: integer(1, 65535, { default: 3000, restart: true }),
+  apiKeys: { type: 'array', default: [] },
+  apiKeyDefaults: {
+    type: 'object',
+    default: {},
+    properties: {
+      requestsPerMinute: number(0),
+      audioSecondsPerDay: number(0),
+      charactersPerDay: number(0),
+    },
+  },
+  adminWithoutKeys: boolean({ default: false }),
+  metricsRequireKey: boolean({ default: false }),
+  profanityFilter: oneOf(['off', 'mask', 'remove', 'reject'], { default: 'off' }),
+
+  voice: string({ default: 'en_US-lessac-medium' }),
+  preinstallVoices: { type: 'stringList' },
+  openAiVoices: { type: 'map', values: string(), default: {} },
+  // workers per voice (default 2) and across all voices (default: one per CPU core)
+  piperPoolSize: integer(1),
+  piperMaxWorkers: integer(1),
+  piperJobTimeoutMs: integer(0, undefined, { default: 120000 }),
+  piperIdleTimeoutMs: integer(0, undefined, { default: 300000 }),
+  ffmpegPath: string({ default: 'ffmpeg' }),
+  ffprobePath: string({ default: 'ffprobe' }),
+  ttsNormalize: boolean({ default: true }),
+  ttsEmoji: oneOf(['strip', 'names'], { default: 'strip' }),
+  longform: {
+    type: 'object',
+    default: {},
+    properties: {
+      autoChars: integer(0),
+      sentencePauseMs: number(0, 5000),
+      paragraphPauseMs: number(0, 5000),
+      maxSegmentChars: integer(50),
+      concurrency: integer(1),
+    },
+  },
+  ttsCache: boolean({ default: true }),
+  ttsCacheDir: string({ default: 'tts_cache', restart: true }),
+  ttsCacheMaxBytes: integer(0, undefined, { default: 512 * 1024 * 1024 }),
+
+  uploadMaxBytes: integer(0, undefined, { default: 100 * 1024 * 1024 }),
+  uploadMaxSeconds: number(0, undefined, { default: 0 }),
+  // longest WAV decoded in-process (Vosk, VAD chunking, output conversion); 0 = no limit
+  audioDecodeMaxSeconds: number(0, undefined, { default: 3600 }),
+  uploadTtlMs: integer(1, undefined, { default: 60 * 60 * 1000 }),
+  uploadSweepIntervalMs: integer(1000, undefined, { default: 10 * 60 * 1000 }),
+
+  jobsDir: string({ default: 'jobs', restart: true }),
+  jobConcurrency: integer(1, undefined, { default: 1 }),
+  jobRetentionMs: integer(1, undefined, { default: 24 * 60 * 60 * 1000 }),
+  // webhook hosts that may resolve to loopback or private addresses (all others are refused)
+  webhookAllowedHosts: { type: 'stringList', default: [] },
+
+  voskModel: string({ default: 'vosk-model-en-us-0.22' }),
+  voskLanguage: string({ default: 'en' }),
+  voskModels: { type: 'map', default: {} },
+  voskPreinstall: { type: 'stringList', default: [] },
+  voskMaxLoadedModels: integer(1, undefined, { default: 2 }),
+  voskMaxModelBytes: integer(0, undefined, { default: 0 }),
+  voskSampleRate: integer(8000, 48000, { default: 16000 }),
+  // live transcription over /stt/stream: longest session and longest silence between messages (0 = no limit)
+  sttStreamMaxSeconds: integer(0, undefined, { default: 3600 }),
+  sttStreamIdleMs: integer(0, undefined, { default: 60 * 1000 }),
+
+  // a registered engine name (see GET /engines); "both" runs whisper and vosk side by side
+  sttEngine: string({ default: 'vosk' }),
+  ttsEngine: string({ default: 'piper' }),
+  whisperModel: string({ default: 'base' }),
+  whisperDevice: string({ default: 'cpu' }),
+  whisperPrimaryUrl: string({ default: 'http://localhost:8080/v1/audio/transcriptions' }),
+  whisperPrimaryModel: string(),
+  whisperApiUrl: string(),
+  whisperApiName: string({ default: '/transcribe_file' }),
+  whisperGradioSpace: string({ default: 'openai/whisper' }),
+  whisperGradioApiName: string({ default: '/predict' }),
+  sttProviders: { type: 'array' },
+  sttCircuitBreaker: {
+    type: 'object',
+    default: {},
+    properties: {
+      failureThreshold: integer(1),
+      resetTimeoutMs: integer(0),
+    },
+  },
+  vad: {
+    type: 'object',
+    default: {},
+    properties: {
+      enabled: boolean(),
+      thresholdDb: number(undefined, 0, { nullable: true }),
+      marginDb: number(0),
+      minThresholdDb: number(undefined, 0),
+      minSilenceMs: number(0),
+      minSpeechMs: number(0),
+      padMs: number(0),
+      maxChunkSeconds: number(1),
+      concurrency: integer(1),
+    },
+  },
+};
+
+// Old key -> current key; still accepted with a warning
+const DEPRECATED = { vaskmodel: 'voskModel' };
+
+function configError(message, problems) {
+  const err = new Error(`${message}:\n  - ${problems.join('\n  - ')}`);
+  err.problems = problems;
+  return err;
+}
+
+function envName(keyPath) {
+  return ENV_PREFIX + keyPath.map((key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('__');
+}
+
+// Edit distance, for "did you mean" hints on typos
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function unknownKey(name, known) {
+  const closest = known
+    .map((candidate) => ({ candidate, score: distance(name, candidate) }))
+    .sort((a, b) => a.score - b.score)[0];
+  const hint = closest && closest.score <= Math.max(2, Math.floor(name.length / 4)) ? ` (did you mean "${closest.candidate}"?)` : '';
+  return `unknown key "${name}"${hint}`;
+}
+
+function describe(spec) {
+  if (spec.type === 'enum') return `one of ${spec.values.join(', ')}`;
+  if (spec.type === 'integer' || spec.type === 'number') {
+    const range = [spec.min !== undefined ? `>= ${spec.min}` : null, spec.max !== undefined ? `<= ${spec.max}` : null].filter(Boolean);
+    return `${spec.type === 'integer' ? 'an integer' : 'a number'}${range.length ? ` ${range.join(' and ')}` : ''}`;
+  }
+  if (spec.type === 'stringList') return 'a string or an array of strings';
+  if (spec.type === 'map') return 'an object';
+  return `${spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}`;
+}
+
+// Problems with value against spec, as "name: expected ..." strings
+function check(value, spec, name, problems) {
+  if (value === null && spec.nullable) return;
+  const fail = () => problems.push(`${name}: expected ${describe(spec)}, got ${JSON.stringify(value)}`);
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))
+        || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) fail();
+      return;
+    case 'string':
+      if (typeof value !== 'string') fail();
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail();
+      return;
+    case 'enum':
+      if (!spec.values.includes(value)) fail();
+      return;
+    case 'array':
+      if (!Array.isArray(value)) fail();
+      return;
+    case 'stringList':
+      if (typeof value !== 'string' && !(Array.isArray(value) && value.every((item) => typeof item === 'string'))) fail();
+      return;
+    case 'map':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail();
+        return;
+      }
+      if (spec.values) {
+        for (const [key, item] of Object.entries(value)) check(item, spec.values, `${name}.${key}`, problems);
+      }
+      return;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail();
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (!spec.properties[key]) problems.push(`${name}: ${unknownKey(key, Object.keys(spec.properties))}`);
+        else check(item, spec.properties[key], `${name}.${key}`, problems);
+      }
+      return;
+    default:
+      throw new Error(`Unknown schema type ${spec.type}`);
+  }
+}
+
+// Environment strings -> typed values; anything that does not parse is left as a string so
+// validation reports it
+function parseEnvValue(raw, spec) {
+  const text = raw.trim();
+  if (spec.nullable && text === 'null') return null;
+  if (spec.type === 'integer' || spec.type === 'number') return text !== '' && Number.isFinite(Number(text)) ? Number(text) : raw;
+  if (spec.type === 'boolean') {
+    if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true;
+    if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false;
+    return raw;
+  }
+  if (spec.type === 'stringList' && !text.startsWith('[')) return text.split(',').map((item) => item.trim()).filter(Boolean);
+  if (['array', 'object', 'map', 'stringList'].includes(spec.type)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+// Request fields against a map of SCHEMA-style specs (engine options). Strings, as sent by forms,
+// are parsed like environment values; blank fields get the spec default or are left out.
+// Returns { values, problems }.
+function parseOptions(input = {}, specs = {}) {
+  const values = {};
+  const problems = [];
+  for (const [key, spec] of Object.entries(specs)) {
+    let value = input[key];
+    if (value === undefined || value === '') {
+      if (spec.default !== undefined) values[key] = spec.default;
+      continue;
+    }
+    if (typeof value === 'string') value = parseEnvValue(value, spec);
+    check(value, spec, key, problems);
+    values[key] = value;
+  }
+  return { values, problems };
+}
+
+function applyEnv(values, env, problems, warnings) {
+  const known = new Map();
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    known.set(envName([key]), { keyPath: [key], spec });
+    for (const [child, childSpec] of Object.entries(spec.properties || {})) {
+      known.set(envName([key, child]), { keyPath: [key, child], spec: childSpec });
+    }
+  }
+  for (const [deprecated, current] of Object.entries(DEPRECATED)) {
+    known.set(envName([deprecated]), { keyPath: [current], spec: SCHEMA[current], deprecated });
+  }
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === 'APP_CONFIG_FILE') continue;
+    const entry = known.get(name);
+    if (!entry) {
+      warnings.push(`Ignoring ${name}: ${unknownKey(name, [...known.keys()])}`);
+      continue;
+    }
+    if (entry.deprecated) warnings.push(`${name} is deprecated, use ${envName(entry.keyPath)}`);
+    const value = parseEnvValue(raw, entry.spec);
+    const invalid = problems.length;
+    check(value, entry.spec, name, problems);
+    if (problems.length > invalid) continue;
+    const [key, child] = entry.keyPath;
+    if (child) {
+      if (values[key] !== undefined && (typeof values[key] !== 'object' || values[key] === null)) {
+        problems.push(`${name}: ${key} is not an object`);
+        continue;
+      }
+      values[key] = { ...(values[key] || {}), [child]: value };
+    } else {
+      values[key] = value;
+    }
+  }
+}
+
+// Read, merge and validate the configuration without touching the live one.
+// Returns { values, warnings }; throws with err.problems listing every problem found.
+function loadConfig({ file = process.env.APP_CONFIG_FILE || CONFIG_FILE, env = process.env } = {}) {
+  const warnings = [];
+  const problems = [];
+  let values = {};
+
+  if (fs.existsSync(file)) {
+    try {
+      values = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw configError(`Invalid config file ${file}`, [err.message]);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw configError(`Invalid config file ${file}`, ['expected a JSON object']);
+    }
+  } else {
+    warnings.push(`No config file at ${file}; using defaults and ${ENV_PREFIX}* environment variables`);
+  }
+
+  for (const [deprecated, current] of Object.entries(DEPRECATED)) {
+    if (!(deprecated in values)) continue;
+    warnings.push(`Config key "${deprecated}" is deprecated, rename it to "${current}"`);
+    if (!(current in values)) values[current] = values[deprecated];
+    delete values[deprecated];
+  }
+
+  applyEnv(values, env, problems, warnings);
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!SCHEMA[key]) problems.push(unknownKey(key, Object.keys(SCHEMA)));
+    else check(value, SCHEMA[key], key, problems);
+  }
+  if (problems.length) throw configError(`Invalid configuration (${file})`, problems);
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (values[key] === undefined && spec.default !== undefined) values[key] = structuredClone(spec.default);
+  }
+  return { values, warnings };
+}
+
+function startupConfig() {
+  try {
+    const { values, warnings } = loadConfig();
+    warnings.forEach((warning) => logger.warn(warning));
+    return values;
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+}
+
+const config = startupConfig();
+
+// Re-read the configuration into the shared config object, in place, so modules holding it see
+// the new values on their next request. An invalid file leaves the running config untouched.
+// Returns { changed, restartRequired, warnings }.
+function reloadConfig() {
+  const { values, warnings } = loadConfig();
+  const changed = [...new Set([...Object.keys(config), ...Object.keys(values)])]
+    .filter((key) => JSON.stringify(config[key]) !== JSON.stringify(values[key]))
+    .sort();
+  for (const key of Object.keys(config)) {
+    if (!(key in values)) delete config[key];
+  }
+  Object.assign(config, values);
+  return {
+    changed,
+    restartRequired: changed.filter((key) => SCHEMA[key]?.restart),
+    warnings,
+  };
+}
+
 module.exports = {
-  config: require("./config/config.json"),
+  config,
+  loadConfig,
+  reloadConfig,
+  schemaTypes: { integer, number, string, boolean, oneOf },
+  parseOptions,
   badwords: require("./config/badwords.json"),
   timezone: require("./config/timezone.json"),
   packageJson: require("./package.json")
-};
\ No newline at end of file
+};
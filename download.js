@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { https } = require('follow-redirects');
+const { pipeline } = require('stream');
+const util = require('util');
+const pipelineAsync = util.promisify(pipeline);
+
+function createProgressRenderer(filename) {
+  const barWidth = 30;
+  let lastRenderMs = 0;
+  let lastPercent = -1;
+
+  return (received, total) => {
+    if (!process.stdout.isTTY || !total) return;
+    const now = Date.now();
+    const percent = received / total;
+    const percentage = Math.round(percent * 1000) / 10;
+
+    if (now - lastRenderMs < 100 && percentage !== 100 && percentage === lastPercent) return;
+
+    lastRenderMs = now;
+    lastPercent = percentage;
+
+    const filledBar = Math.floor(barWidth * percent);
+    const emptyBar = barWidth - filledBar;
+    const bar = '#'.repeat(filledBar) + '-'.repeat(emptyBar);
+
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    process.stdout.write(`Downloading ${filename} [${bar}] ${percentage.toFixed(1)}% (${received}/${total} bytes)`);
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipelineAsync(fsSync.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Check a file against the size and SHA-256 we expect, when they are known
+async function verifyFile(filePath, expected = {}) {
+  if (!(await fileExists(filePath))) return { ok: false, reason: 'missing' };
+  const size = await fileSize(filePath);
+  if (size === 0) return { ok: false, reason: 'empty file' };
+  if (expected.size && size !== Number(expected.size)) {
+    return { ok: false, reason: `size ${size} does not match expected ${expected.size}` };
+  }
+  if (expected.sha256) {
+    const digest = await sha256File(filePath);
+    if (digest.toLowerCase() !== String(expected.sha256).toLowerCase()) {
+      return { ok: false, reason: `sha256 ${digest} does not match expected ${expected.sha256}` };
+    }
+  }
+  return { ok: true };
+}
+
+// Content-Length of a URL from a HEAD request; null when the server does not say or cannot be reached
+function remoteSize(url, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const request = https.request(url, { method: 'HEAD', headers: { 'User-Agent': 'Node.js' } }, (response) => {
+      response.resume();
+      const length = parseInt(response.headers['content-length'], 10);
+      resolve(response.statusCode === 200 && length > 0 ? length : null);
+    });
+    request.setTimeout(timeoutMs, () => request.destroy(new Error('timed out')));
+    request.on('error', () => resolve(null));
+    request.end();
+  });
+}
+
+// Errors that a retry cannot fix (404s, other 4xx, checksum mismatch after a clean restart)
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// One HTTP transfer into partPath, appending when the server honours the Range request
+function transferOnce(url, partPath, options) {
+  return new Promise((resolve, reject) => {
+    fileSize(partPath).then((offset) => {
+      const headers = { 'User-Agent': 'Node.js' };
+      if (offset > 0) headers.Range = `bytes=${offset}-`;
+      const filename = path.basename(options.dest);
+      const renderProgress = createProgressRenderer(filename);
+
+      const request = https.get(url, { headers }, (response) => {
+        const status = response.statusCode;
+        if (status === 404) {
+          response.resume();
+          resolve({ notFound: true });
+          return;
+        }
+        if (status === 416) {
+          // Nothing left to fetch past our offset; verification decides if the part is whole
+          response.resume();
+          resolve({ complete: true, totalBytes: offset });
+          return;
+        }
+        if (status !== 200 && status !== 206) {
+          response.resume();
+          const message = `Failed to download ${url}: Status ${status}`;
+          reject(status >= 400 && status < 500 ? permanentError(message) : new Error(message));
+          return;
+        }
+
+        const resumed = status === 206;
+        const startAt = resumed ? offset : 0;
+        const rangeTotal = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+        const contentLength = parseInt(response.headers['content-length'], 10);
+        let totalBytes = null;
+        if (rangeTotal) totalBytes = parseInt(rangeTotal[1], 10);
+        else if (contentLength) totalBytes = startAt + contentLength;
+        let receivedBytes = startAt;
+
+        if (resumed) console.log(`Resuming ${filename} at ${startAt} bytes`);
+
+        response.on('data', (chunk) => {
+          receivedBytes += chunk.length;
+          renderProgress(receivedBytes, totalBytes);
+          if (options.onProgress) options.onProgress(receivedBytes, totalBytes);
+        });
+
+        response.on('end', () => {
+          if (process.stdout.isTTY) {
+            process.stdout.write('\n');
+          } else {
+            console.log(`Downloaded ${filename} (${totalBytes || receivedBytes} bytes)`);
+          }
+        });
+
+        const stream = fsSync.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+        pipelineAsync(response, stream)
+          .then(() => {
+            if (!response.complete) throw new Error('connection closed before the transfer finished');
+            resolve({ complete: true, totalBytes: totalBytes || receivedBytes });
+          })
+          .catch((error) => reject(new Error(`Download error for ${url}: ${error.message}`)));
+      });
+      // A stalled connection emits nothing: the socket is destroyed once idle for timeoutMs (before
+      // or during the transfer), which fails the attempt so the retries take over
+      request.setTimeout(options.timeoutMs, () => request.destroy(new Error(`no response for ${options.timeoutMs} ms`)));
+      request.on('error', (error) => reject(new Error(`Download error for ${url}: ${error.message}`)));
+    }, reject);
+  });
+}
+
+// Download file from URL to destination with progress bar.
+// Data goes to <dest>.part and is only renamed into place once complete and verified;
+// an interrupted transfer resumes from the partial file on the next attempt.
+async function downloadFile(url, dest, options = {}) {
+  await fs.mkdir(path.dirname(dest), { recursive: true });
+  const partPath = `${dest}.part`;
+  const filename = path.basename(dest);
+  const allow404 = options.allow404 === true;
+  const retries = options.retries ?? 3;
+  const backoffMs = options.backoffMs ?? 1000;
+  const timeoutMs = options.timeoutMs ?? 30000;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  const expected = { size: options.size, sha256: options.sha256 };
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const wait = backoffMs * 2 ** (attempt - 1);
+      console.log(`Retrying ${filename} in ${wait}ms (attempt ${attempt + 1}/${retries + 1}): ${lastError.message}`);
+      await delay(wait);
+    }
+
+    try {
+      const result = await transferOnce(url, partPath, { dest, onProgress, timeoutMs });
+      if (result.notFound) {
+        await fs.rm(partPath, { force: true });
+        if (allow404) {
+          console.log(`Skipped missing file (404): ${filename}`);
+          return { skipped: true, url, dest };
+        }
+        throw permanentError(`Download skipped due to 404: ${url}`);
+      }
+
+      const verification = await verifyFile(partPath, {
+        size: expected.size || result.totalBytes,
+        sha256: expected.sha256,
+      });
+      if (!verification.ok) {
+        // Start over from scratch; the partial data cannot be trusted
+        await fs.rm(partPath, { force: true });
+        throw new Error(`Verification failed for ${filename}: ${verification.reason}`);
+      }
+
+      await fs.rename(partPath, dest);
+      return { skipped: false, url, dest };
+    } catch (err) {
+      lastError = err;
+      if (err.permanent) break;
+    }
+  }
+  throw lastError;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  downloadFile,
+  fileExists,
+  verifyFile,
+  remoteSize,
+  sha256File,
+  createProgressRenderer,
+  pipelineAsync,
+};
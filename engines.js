@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { config, parseOptions } = require("./config");
+const { httpError, apiError } = require('./errors');
+const logger = console;
+
+// STT and TTS backends. Every module in engines/ exports one engine (or an array of them):
+//   name, type ('stt' or 'tts'), description
+//   capabilities: { languages (null = any), formats, streaming, timestamps } or a function returning it
+//   options: request fields the engine takes, as config.js schema specs
+//   health(): { ready, detail, starting }, starting while setup at boot has not finished yet
+//   prepare(options): optional; checks and fills in options before any work starts
+//   transcribe(filePath, options) for STT, synthesize(text, voice, options) -> WAV path for TTS
+// Adding an engine means adding a module there; routes reach it by name.
+const ENGINES_DIR = path.join(__dirname, 'engines');
+const TYPES = ['stt', 'tts'];
+
+const engines = new Map();
+
+function registerEngine(engine) {
+  if (!engine || !engine.name || !TYPES.includes(engine.type)) {
+    throw new Error('An engine needs a name and a type of stt or tts');
+  }
+  const run = engine.type === 'stt' ? 'transcribe' : 'synthesize';
+  if (typeof engine[run] !== 'function') throw new Error(`${engine.type} engine ${engine.name} has no ${run}()`);
+  engines.set(`${engine.type}:${engine.name}`, { options: {}, ...engine });
+}
+
+// A module that fails to load is reported and skipped, so one broken engine keeps the rest serving
+function loadEngines(dir = ENGINES_DIR) {
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.js')).sort()) {
+    try {
+      [].concat(require(path.join(dir, file))).forEach(registerEngine);
+    } catch (err) {
+      logger.error(`Could not load engine ${file}: ${err.message}`);
+    }
+  }
+}
+
+function defaultEngineName(type) {
+  return String((type === 'stt' ? config.sttEngine : config.ttsEngine) || (type === 'stt' ? 'vosk' : 'piper')).toLowerCase();
+}
+
+// The engine called name (the configured default when left out); 400 UNKNOWN_ENGINE otherwise
+function getEngine(type, name) {
+  const requested = name ? String(name).toLowerCase() : defaultEngineName(type);
+  const engine = engines.get(`${type}:${requested}`);
+  if (!engine) {
+    const known = listEngineNames(type).join(', ');
+    throw apiError('UNKNOWN_ENGINE', `Unknown ${type.toUpperCase()} engine: ${requested} (expected one of ${known})`);
+  }
+  return engine;
+}
+
+function hasEngine(type, name) {
+  return engines.has(`${type}:${String(name).toLowerCase()}`);
+}
+
+function listEngineNames(type) {
+  return [...engines.values()].filter((engine) => engine.type === type).map((engine) => engine.name);
+}
+
+function capabilities(engine) {
+  const declared = typeof engine.capabilities === 'function' ? engine.capabilities() : engine.capabilities;
+  return { languages: null, formats: [], streaming: false, timestamps: false, ...declared };
+}
+
+function health(engine) {
+  if (!engine.health) return { ready: true, detail: null };
+  try {
+    const { ready, detail } = engine.health();
+    return { ready: Boolean(ready), detail: detail ?? null };
+  } catch (err) {
+    return { ready: false, detail: err.message };
+  }
+}
+
+// Still being set up at boot: not ready yet, but not failed either
+function isStarting(engine) {
+  if (!engine.health) return false;
+  try {
+    return Boolean(engine.health().starting);
+  } catch {
+    return false;
+  }
+}
+
+// 503 ENGINE_UNAVAILABLE when the engine reports itself not ready
+function ensureEngineReady(engine) {
+  const { ready, detail } = health(engine);
+  if (!ready) throw apiError('ENGINE_UNAVAILABLE', `${engine.name} is unavailable${detail ? `: ${detail}` : ''}`);
+}
+
+// 415 for input audio, 400 for an output format, when the engine does not handle it
+function ensureFormat(engine, format, { input = false } = {}) {
+  const { formats } = capabilities(engine);
+  if (!format || !formats.length || formats.includes(format)) return;
+  const message = `${engine.name} does not ${input ? 'accept' : 'produce'} ${format} (supported: ${formats.join(', ')})`;
+  throw input ? apiError('AUDIO_UNSUPPORTED', message) : httpError(400, message);
+}
+
+// 400 unless the engine declares capability (streaming, ssml, ...); what names it in the message
+function ensureCapability(engine, capability, what) {
+  if (!capabilities(engine)[capability]) throw httpError(400, `${engine.name} does not support ${what}`);
+}
+
+// Engine options from a request body, validated against the engine's schema and passed through
+// its prepare(); extra holds the shared fields (language, signal, ...)
+function engineOptions(engine, body = {}, extra = {}) {
+  const { values, problems } = parseOptions(body, engine.options);
+  if (problems.length) {
+    const err = httpError(400, `Invalid ${engine.name} options: ${problems.join('; ')}`);
+    err.details = { problems };
+    throw err;
+  }
+  const options = { ...values, ...extra };
+  return engine.prepare ? engine.prepare(options) : options;
+}
+
+// Public view for GET /engines
+function describeEngine(engine) {
+  return {
+    name: engine.name,
+    type: engine.type,
+    description: engine.description || null,
+    default: engine.name === defaultEngineName(engine.type),
+    capabilities: capabilities(engine),
+    options: engine.options,
+    health: health(engine),
+  };
+}
+
+function listEngines(type) {
+  return [...engines.values()]
+    .filter((engine) => !type || engine.type === type)
+    .map(describeEngine);
+}
+
+loadEngines();
+
+module.exports = {
+  registerEngine,
+  getEngine,
+  hasEngine,
+  listEngines,
+  isStarting,
+  ensureEngineReady,
+  ensureFormat,
+  ensureCapability,
+  engineOptions,
+};
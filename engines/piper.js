@@ -0,0 +1,27 @@
+const { schemaTypes: { number } } = require('../config');
+const { synthesizeWithPiper, ttsConfigs } = require('../tts');
+const { listVoices } = require('../voices');
+const { OUTPUT_FORMATS, SYNTHESIS_PARAMS } = require('../tts-output');
+const { getStatus } = require('../health');
+
+// Piper voices run in warm worker processes; see piper-pool.js
+module.exports = {
+  name: 'piper',
+  type: 'tts',
+  description: 'Local neural TTS with Piper voices',
+  capabilities: () => ({
+    languages: [...new Set(listVoices({ installed: true }).map((voice) => voice.locale))],
+    formats: Object.keys(OUTPUT_FORMATS),
+    streaming: true,
+    timestamps: false,
+    ssml: true,
+  }),
+  // validated again (with the same ranges) by parseSynthesisParams
+  options: Object.fromEntries(Object.entries(SYNTHESIS_PARAMS).map(([field, { min, max }]) => [field, number(min, max)])),
+  health: () => {
+    const { state, detail } = getStatus('piper');
+    if (state !== 'ready') return { ready: false, detail: detail || state, starting: state === 'pending' };
+    return { ready: true, detail: `${Object.keys(ttsConfigs).length} voice(s) loaded` };
+  },
+  synthesize: synthesizeWithPiper,
+};
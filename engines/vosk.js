@@ -0,0 +1,25 @@
+const { transcribeWithVosk } = require('../stt');
+const { resolveVoskModel, listVoskModels } = require('../vosk-models');
+const { getStatus } = require('../health');
+
+// Offline recognition; the model is picked by language and loaded on first use
+module.exports = {
+  name: 'vosk',
+  type: 'stt',
+  description: 'Offline speech recognition with Vosk models',
+  capabilities: () => ({
+    languages: listVoskModels().map((model) => model.language),
+    formats: ['wav'],
+    // live recognition over the /stt/stream WebSocket
+    streaming: true,
+    timestamps: true,
+  }),
+  options: {},
+  health: () => {
+    const { state, detail } = getStatus('vosk');
+    return { ready: state === 'ready', detail: state === 'ready' ? null : detail || state, starting: state === 'pending' };
+  },
+  // an unconfigured language fails the request before the upload is read
+  prepare: (options) => ({ ...options, model: resolveVoskModel(options.language).model }),
+  transcribe: transcribeWithVosk,
+};
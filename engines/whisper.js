@@ -0,0 +1,37 @@
+const { config, schemaTypes: { string } } = require('../config');
+const { normalizeWhisperModel } = require('../stt');
+const { transcribeWithChain, providerStatus } = require('../stt-chain');
+const { UPLOAD_TYPES } = require('../uploads');
+
+// Whisper through the provider chain (primary server, Gradio, then the Vosk fallback)
+module.exports = {
+  name: 'whisper',
+  type: 'stt',
+  description: 'Whisper via the configured provider chain with fallback',
+  capabilities: {
+    // Whisper detects the language itself
+    languages: null,
+    formats: UPLOAD_TYPES,
+    streaming: false,
+    timestamps: true,
+  },
+  options: {
+    model: string(),
+    device: string(),
+  },
+  // Any enabled provider will do; an open circuit closes again after its reset timeout
+  health: () => {
+    const enabled = providerStatus().filter((provider) => provider.enabled);
+    const closed = enabled.filter((provider) => provider.circuit !== 'open');
+    return {
+      ready: enabled.length > 0,
+      detail: enabled.length ? `${closed.length}/${enabled.length} providers available` : 'no STT providers are enabled',
+    };
+  },
+  prepare: (options) => ({
+    ...options,
+    model: normalizeWhisperModel(options.model || config.whisperModel || 'base'),
+    device: String(options.device || config.whisperDevice || 'cpu').toLowerCase(),
+  }),
+  transcribe: transcribeWithChain,
+};
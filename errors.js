@@ -0,0 +1,121 @@
+const { randomUUID } = require('crypto');
+const logger = console;
+
+// Stable codes clients can branch on, with the HTTP status each one answers with
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  INVALID_JSON: 400,
+  INVALID_CONFIG: 400,
+  MISSING_AUDIO: 400,
+  UNKNOWN_ENGINE: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  VOICE_NOT_FOUND: 404,
+  MODEL_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  AUDIO_TOO_LONG: 413,
+  AUDIO_UNSUPPORTED: 415,
+  AUDIO_EMPTY: 422,
+  AUDIO_INVALID: 422,
+  TEXT_BLOCKED: 422,
+  UNPROCESSABLE: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  NOT_IMPLEMENTED: 501,
+  ENCODER_UNAVAILABLE: 501,
+  UPSTREAM_FAILED: 502,
+  ENGINE_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+// Code for errors that only carry a status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'AUDIO_UNSUPPORTED',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  501: 'NOT_IMPLEMENTED',
+  502: 'UPSTREAM_FAILED',
+  503: 'ENGINE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT',
+};
+
+// Error carrying an HTTP status (and optional response headers) so routes can map failures to a response
+function httpError(status, message, headers) {
+  const err = new Error(message);
+  err.status = status;
+  if (headers) err.headers = headers;
+  return err;
+}
+
+// httpError named by one of ERROR_CODES, which decides the status
+function apiError(code, message, headers) {
+  if (!ERROR_CODES[code]) throw new Error(`Unknown error code: ${code}`);
+  const err = httpError(ERROR_CODES[code], message, headers);
+  err.code = code;
+  return err;
+}
+
+// The stable code for any error; errors without a status (bugs, system errors) are INTERNAL_ERROR
+function errorCode(err) {
+  if (!err || !err.status) return 'INTERNAL_ERROR';
+  if (ERROR_CODES[err.code] === err.status) return err.code;
+  // body-parser marks malformed bodies with a type rather than a code
+  if (err.type === 'entity.parse.failed') return 'INVALID_JSON';
+  return STATUS_CODES[err.status] || (err.status < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR');
+}
+
+// The JSON error shape every route answers with:
+// { error: message, code, status, requestId, ...details }. Internal errors keep their message in the log.
+function errorBody(err, requestId) {
+  const status = err.status || 500;
+  return {
+    error: err.status ? err.message : 'Internal server error',
+    code: errorCode(err),
+    status,
+    requestId: requestId || null,
+    ...(err.details || {}),
+  };
+}
+
+function sendError(req, res, err) {
+  if (!err.status) logger.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+  if (err.headers) res.set(err.headers);
+  res.status(err.status || 500).json(errorBody(err, req.id));
+}
+
+// Tags each request with an id (the caller's X-Request-Id when it looks sane) that is echoed in
+// the response header and in error bodies, so a failure can be matched to the server log
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Last Express error handler; a response already under way can only be cut off
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  sendError(req, res, err);
+}
+
+module.exports = {
+  ERROR_CODES,
+  httpError,
+  apiError,
+  errorCode,
+  requestId,
+  errorHandler,
+};
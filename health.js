@@ -0,0 +1,67 @@
+const { apiError } = require('./errors');
+
+// Startup state per subsystem: pending -> ready | failed
+const STATES = ['pending', 'ready', 'failed'];
+const PROBE_CACHE_MS = 15000;
+
+const subsystems = new Map();
+const probes = new Map();
+
+function setStatus(name, state, detail = null) {
+  if (!STATES.includes(state)) throw new Error(`Unknown subsystem state: ${state}`);
+  subsystems.set(name, { state, detail, since: new Date().toISOString() });
+}
+
+function getStatus(name) {
+  return subsystems.get(name) || { state: 'pending', detail: null, since: null };
+}
+
+function isReady(name) {
+  return getStatus(name).state === 'ready';
+}
+
+// Throw 503 (with Retry-After while still starting) unless every named subsystem is ready
+function ensureReady(names) {
+  for (const name of [].concat(names)) {
+    const { state, detail } = getStatus(name);
+    if (state === 'ready') continue;
+    if (state === 'failed') {
+      throw apiError('ENGINE_UNAVAILABLE', `${name} is unavailable${detail ? `: ${detail}` : ''}`);
+    }
+    throw apiError('ENGINE_UNAVAILABLE', `Service is starting: ${name} is not ready yet`, { 'Retry-After': '10' });
+  }
+}
+
+function listStatus() {
+  const result = {};
+  for (const [name, status] of subsystems) result[name] = status;
+  return result;
+}
+
+// Any HTTP answer counts as reachable; results are cached so /readyz stays cheap
+async function probeUrl(url, timeoutMs = 2000) {
+  if (!url) return { url: null, reachable: false, error: 'not configured' };
+  const cached = probes.get(url);
+  if (cached && Date.now() - cached.at < PROBE_CACHE_MS) return cached.result;
+
+  let result;
+  const started = Date.now();
+  try {
+    const response = await fetch(url, { method: 'GET', signal: AbortSignal.timeout(timeoutMs) });
+    response.body?.cancel().catch(() => {});
+    result = { url, reachable: true, status: response.status, latencyMs: Date.now() - started };
+  } catch (err) {
+    result = { url, reachable: false, error: err.name === 'TimeoutError' ? 'timeout' : err.message };
+  }
+  probes.set(url, { at: Date.now(), result });
+  return result;
+}
+
+module.exports = {
+  setStatus,
+  getStatus,
+  isReady,
+  ensureReady,
+  listStatus,
+  probeUrl,
+};
@@ -0,0 +1,421 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { randomUUID } = require('crypto');
+const { config } = require("./config");
+const { httpError, apiError, errorCode } = require('./errors');
+const { getEngine, isStarting } = require('./engines');
+const { transcribeInChunks } = require('./vad');
+const { filterTranscript } = require('./profanity');
+const { transcriptDuration } = require('./transcript');
+const { synthesizeSpeech } = require('./speech');
+const { findClient, recordDaily } = require('./auth');
+const logger = console;
+
+// Each job lives in <jobsDir>/<id>/ with job.json, its input and its result, so it survives restarts
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const WEBHOOK_ATTEMPTS = 3;
+const ENGINE_WAIT_MS = 5000;
+
+const jobs = new Map();
+const queue = [];
+const running = new Map(); // id -> AbortController
+let sweeper = null;
+let pumpRetry = null;
+
+function jobsDir() {
+  return config.jobsDir || 'jobs';
+}
+
+function jobDir(id) {
+  return path.join(jobsDir(), id);
+}
+
+function concurrency() {
+  return Math.max(1, parseInt(config.jobConcurrency, 10) || 1);
+}
+
+function retentionMs() {
+  const value = Number(config.jobRetentionMs);
+  return Number.isFinite(value) && value > 0 ? value : 24 * 60 * 60 * 1000;
+}
+
+async function saveJob(job) {
+  const file = path.join(jobDir(job.id), 'job.json');
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(job, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+}
+
+// Public view of a job; paths on disk and the owner stay internal
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: Math.round(job.progress * 1000) / 1000,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    errorCode: job.errorCode || null,
+    webhook: job.webhook ? { url: job.webhook, delivered: job.webhookDelivered } : null,
+    resultUrl: job.status === 'completed' ? `/jobs/${job.id}/result` : null,
+  };
+}
+
+// Addresses a webhook must not reach: this host, link-local (cloud metadata) and private networks
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 subnets
+function blockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function webhookHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+function allowedWebhookHost(host) {
+  return [].concat(config.webhookAllowedHosts || []).some((entry) => String(entry).toLowerCase() === host);
+}
+
+// dns.lookup for webhook connections: the addresses are checked as the socket resolves them, so the
+// address connected to is the one that was checked even if the host changes its DNS answer
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (!addresses.length || addresses.some(({ address }) => blockedAddress(address))) {
+      callback(new Error(`${hostname} resolves to a private or loopback address`));
+      return;
+    }
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One POST to a webhook; resolves with the status code. Redirects are not followed: a 3xx could
+// point anywhere, including the addresses the lookup refuses.
+function postWebhook(url, payload) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      ...(allowedWebhookHost(webhookHost(target)) ? {} : { lookup: webhookLookup }),
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.setTimeout(10000, () => request.destroy(new Error('timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+// 400 unless the URL is http(s) and its host resolves only to public addresses, or is listed in
+// config.webhookAllowedHosts
+async function validateWebhook(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    throw httpError(400, `Invalid webhook URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw httpError(400, 'Webhook URL must be http or https');
+
+  const host = webhookHost(parsed);
+  if (allowedWebhookHost(host)) return parsed.toString();
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw httpError(400, `Webhook host does not resolve: ${host}`);
+  }
+  if (addresses.some(({ address }) => blockedAddress(address))) {
+    throw httpError(400, `Webhook host resolves to a private or loopback address: ${host}`);
+  }
+  return parsed.toString();
+}
+
+// POST the final job state to its webhook, retrying with backoff; failures are logged, not fatal
+async function notifyWebhook(job) {
+  if (!job.webhook) return;
+  // checked again at delivery: the host may resolve elsewhere by now, or come from an older job.json
+  try {
+    await validateWebhook(job.webhook);
+  } catch (err) {
+    logger.warn(`Webhook for job ${job.id} refused: ${err.message}`);
+    return;
+  }
+  const payload = JSON.stringify(describeJob(job));
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      const status = await postWebhook(job.webhook, payload);
+      if (status >= 300 && status < 400) throw new Error(`HTTP ${status} (redirects are not followed)`);
+      if (status < 200 || status >= 300) throw new Error(`HTTP ${status}`);
+      job.webhookDelivered = true;
+      await saveJob(job);
+      return;
+    } catch (err) {
+      if (attempt === WEBHOOK_ATTEMPTS) {
+        logger.warn(`Webhook for job ${job.id} failed: ${err.message}`);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+async function runStt(job, { signal, onProgress }) {
+  const { engine, profanity, vad, ...engineParams } = job.params;
+  const options = { ...engineParams, signal, onProgress };
+  const { transcribe } = getEngine('stt', engine);
+  const transcript = vad
+    ? await transcribeInChunks(job.input, transcribe, options)
+    : await transcribe(job.input, options);
+  signal.throwIfAborted();
+
+  const duration = transcriptDuration(transcript);
+  recordDaily(findClient(job.owner), 'audioSeconds', Math.max(job.inputDuration || 0, duration));
+  const filtered = filterTranscript(transcript, profanity);
+  const file = 'result.json';
+  await fs.writeFile(path.join(jobDir(job.id), file), JSON.stringify({
+    transcript: filtered.text,
+    segments: filtered.segments,
+    duration,
+    engine,
+    model: transcript.model || options.model || null,
+    language: transcript.language || options.language || null,
+    provider: transcript.provider || engine,
+    providerErrors: transcript.providerErrors || [],
+    ...(vad ? { chunks: transcript.chunks || null } : {}),
+  }));
+  return { file, contentType: 'application/json' };
+}
+
+async function runTts(job, { signal, onProgress }) {
+  const speech = await synthesizeSpeech(job.params, { signal, onProgress });
+  try {
+    signal.throwIfAborted();
+    recordDaily(findClient(job.owner), 'characters', String(job.params.text).length);
+    const file = `result${path.extname(speech.path)}`;
+    await fs.copy(speech.path, path.join(jobDir(job.id), file));
+    return { file, contentType: speech.contentType, headers: speech.headers };
+  } finally {
+    await speech.cleanup();
+  }
+}
+
+const RUNNERS = { stt: runStt, tts: runTts };
+
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.progress = 0;
+  await saveJob(job);
+
+  try {
+    const result = await RUNNERS[job.type](job, {
+      signal: controller.signal,
+      onProgress: (fraction) => (job.progress = Math.min(0.99, fraction)),
+    });
+    if (controller.signal.aborted) return;
+    job.status = 'completed';
+    job.progress = 1;
+    job.result = result;
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    job.status = 'failed';
+    job.error = err.message;
+    job.errorCode = errorCode(err);
+    logger.error(`Job ${job.id} failed:`, err.message);
+  } finally {
+    running.delete(job.id);
+  }
+  job.finishedAt = new Date().toISOString();
+  if (job.input) await fs.remove(job.input);
+  await saveJob(job);
+  await notifyWebhook(job);
+}
+
+function engineStarting(job) {
+  try {
+    return isStarting(getEngine(job.type, job.params.engine));
+  } catch {
+    return false;
+  }
+}
+
+function pump() {
+  const waiting = [];
+  while (running.size < concurrency() && queue.length) {
+    const job = queue.shift();
+    if (job.status !== 'queued') continue;
+    // jobs restored at boot wait for an engine that is still starting instead of failing on it
+    if (engineStarting(job)) {
+      waiting.push(job);
+      continue;
+    }
+    runJob(job)
+      .catch((err) => logger.error(`Job ${job.id} error:`, err.message))
+      .finally(pump);
+  }
+  queue.unshift(...waiting);
+  if (waiting.length && !pumpRetry) {
+    pumpRetry = setTimeout(() => {
+      pumpRetry = null;
+      pump();
+    }, ENGINE_WAIT_MS);
+    pumpRetry.unref();
+  }
+}
+
+// Queue a job; input is an uploaded file to move into the job directory
+async function createJob(type, params, { input = null, inputDuration = null, webhook = null, owner = null } = {}) {
+  if (!RUNNERS[type]) throw httpError(400, `Unknown job type: ${type}`);
+  const webhookUrl = await validateWebhook(webhook);
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    progress: 0,
+    params,
+    input: null,
+    // measured when uploaded; billed instead of the transcript's length when longer
+    inputDuration,
+    owner,
+    webhook: webhookUrl,
+    webhookDelivered: false,
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  await fs.mkdir(jobDir(job.id), { recursive: true });
+  if (input) {
+    job.input = path.join(jobDir(job.id), `input${path.extname(input) || '.wav'}`);
+    await fs.move(input, job.input);
+  }
+  await saveJob(job);
+  jobs.set(job.id, job);
+  queue.push(job);
+  pump();
+  return job;
+}
+
+// Jobs are only visible to the key that created them (and admin keys)
+function getJob(id, client = null) {
+  const job = jobs.get(id);
+  if (!job || (client && !client.admin && job.owner !== client.name)) {
+    throw apiError('JOB_NOT_FOUND', `Unknown job: ${id}`);
+  }
+  return job;
+}
+
+function listJobs(client = null) {
+  return [...jobs.values()]
+    .filter((job) => !client || client.admin || job.owner === client.name)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Cancel a queued or running job; finished jobs are deleted along with their files
+async function cancelJob(id, client = null) {
+  const job = getJob(id, client);
+  if (FINISHED.includes(job.status)) {
+    jobs.delete(id);
+    await fs.remove(jobDir(id));
+    return { ...describeJob(job), deleted: true };
+  }
+  running.get(id)?.abort();
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  if (job.input) await fs.remove(job.input);
+  await saveJob(job);
+  notifyWebhook(job);
+  return describeJob(job);
+}
+
+// { path, contentType, headers } of a completed job's output
+function jobResult(id, client = null) {
+  const job = getJob(id, client);
+  if (job.status !== 'completed') {
+    throw httpError(409, `Job ${id} is ${job.status}`);
+  }
+  return {
+    job,
+    path: path.join(jobDir(id), job.result.file),
+    contentType: job.result.contentType,
+    headers: job.result.headers || {},
+  };
+}
+
+async function sweepJobs() {
+  const cutoff = Date.now() - retentionMs();
+  for (const job of [...jobs.values()]) {
+    if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(job.id);
+      await fs.remove(jobDir(job.id));
+    }
+  }
+}
+
+// Reload jobs from disk at startup; anything interrupted mid-run goes back on the queue
+async function restoreJobs() {
+  await fs.mkdir(jobsDir(), { recursive: true });
+  for (const id of await fs.readdir(jobsDir())) {
+    let job;
+    try {
+      job = JSON.parse(await fs.readFile(path.join(jobDir(id), 'job.json'), 'utf-8'));
+    } catch {
+      logger.warn(`Skipping unreadable job directory ${id}`);
+      continue;
+    }
+    if (!STATUSES.includes(job.status) || jobs.has(job.id)) continue;
+    if (job.status === 'running') {
+      job.status = 'queued';
+      job.progress = 0;
+      await saveJob(job);
+    }
+    jobs.set(job.id, job);
+  }
+  queue.push(...listJobs().filter((job) => job.status === 'queued').reverse());
+  await sweepJobs();
+  if (!sweeper) {
+    sweeper = setInterval(() => sweepJobs().catch((err) => logger.warn('Job sweep failed:', err.message)), 60 * 60 * 1000);
+    sweeper.unref();
+  }
+  pump();
+  return jobs.size;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  jobResult,
+  describeJob,
+  restoreJobs,
+};
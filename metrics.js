@@ -0,0 +1,120 @@
+// Minimal Prometheus registry: counters, histograms and callback gauges rendered in text format 0.0.4
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function register(name, type, help, extra = {}) {
+  if (registry.has(name)) return registry.get(name);
+  const metric = { name, type, help, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+function series(metric, labels, create) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, value = 1) {
+      series(metric, labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, 'histogram', help, { buckets });
+  return {
+    observe(labels = {}, value) {
+      const entry = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    // Returns a function that records the elapsed seconds when called
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+      };
+    },
+  };
+}
+
+// collect() returns a number or [{ labels, value }] and is called at scrape time
+function gauge(name, help, collect) {
+  register(name, 'gauge', help, { collect });
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  if (metric.type === 'gauge') {
+    const collected = metric.collect();
+    const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    for (const { labels, value } of values) lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+  } else if (metric.type === 'counter') {
+    for (const { labels, value } of metric.series.values()) lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+  } else {
+    for (const { labels, counts, sum, count } of metric.series.values()) {
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderMetrics() {
+  return [...registry.values()].map(renderMetric).join('\n') + '\n';
+}
+
+// Shared metrics; gauges are registered by whoever owns the state they report
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method and route');
+const sttRequests = counter('stt_requests_total', 'Transcriptions by engine and outcome');
+const sttDuration = histogram('stt_duration_seconds', 'Transcription latency by engine');
+const sttAudioSeconds = counter('stt_audio_seconds_total', 'Seconds of audio transcribed by engine');
+const sttFallbacks = counter('stt_fallbacks_total', 'Falls from one STT provider to the next');
+const ttsRequests = counter('tts_requests_total', 'Piper syntheses by voice and outcome');
+const ttsDuration = histogram('tts_duration_seconds', 'Piper synthesis latency by voice');
+const ttsCharacters = counter('tts_characters_total', 'Characters synthesized by voice');
+const ttsCacheLookups = counter('tts_cache_lookups_total', 'TTS cache lookups by result');
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  httpRequests,
+  httpDuration,
+  sttRequests,
+  sttDuration,
+  sttAudioSeconds,
+  sttFallbacks,
+  ttsRequests,
+  ttsDuration,
+  ttsCharacters,
+  ttsCacheLookups,
+};
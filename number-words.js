@@ -0,0 +1,635 @@
+// Spelled-out numbers for the Piper voice languages: cardinals (with the gender of the counted noun
+// where the language needs it), ordinals, the day of a date and year readings.
+// Integers up to 999,999,999,999 are spelled; longer ones are read digit by digit.
+
+const MAX_SPELLED = 999999999999;
+
+const pluralRules = new Map();
+
+function pluralCategory(lang, n) {
+  if (!pluralRules.has(lang)) pluralRules.set(lang, new Intl.PluralRules(lang));
+  return pluralRules.get(lang).select(n);
+}
+
+// forms is [one, other] or { one, few, many, other }
+function pluralForm(lang, n, forms) {
+  if (Array.isArray(forms)) return pluralCategory(lang, n) === 'one' ? forms[0] : forms[1];
+  const category = pluralCategory(lang, n);
+  return forms[category] ?? forms.other ?? forms.many;
+}
+
+// [{ value, scale }] from the largest group down; scale is 1e9, 1e6, 1e3 or 1
+function groups(n) {
+  const result = [];
+  for (const scale of [1e9, 1e6, 1e3, 1]) {
+    const value = Math.floor(n / scale) % 1000;
+    if (value) result.push({ value, scale });
+  }
+  return result;
+}
+
+// ——— English ———
+
+const EN_ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const EN_SCALES = { 1e9: 'billion', 1e6: 'million', 1e3: 'thousand' };
+const EN_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+function enBelow100(n) {
+  if (n < 20) return EN_ONES[n];
+  return EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_ONES[n % 10]}` : '');
+}
+
+function enBelow1000(n, british) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundreds) words.push(EN_ONES[hundreds], 'hundred');
+  if (rest) {
+    if (hundreds && british) words.push('and');
+    words.push(enBelow100(rest));
+  }
+  return words.join(' ');
+}
+
+function english(british) {
+  const cardinal = (n) => {
+    if (n === 0) return 'zero';
+    const parts = groups(n);
+    return parts.map(({ value, scale }, i) => {
+      const words = enBelow1000(value, british);
+      if (scale > 1) return `${words} ${EN_SCALES[scale]}`;
+      // "one thousand and five"
+      return british && parts.length > 1 && value < 100 && i > 0 ? `and ${words}` : words;
+    }).join(' ');
+  };
+  const ordinal = (n) => cardinal(n).replace(/[a-z]+$/, (word) => EN_ORDINALS[word]
+    || (word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`));
+  return {
+    cardinal,
+    ordinal,
+    day: ordinal,
+    // 1999 -> nineteen ninety-nine, 2005 -> two thousand five, 2025 -> twenty twenty-five
+    year(n) {
+      if (n < 1000 || n > 2099 || (n >= 2000 && n < 2010)) return cardinal(n);
+      const high = Math.floor(n / 100);
+      const low = n % 100;
+      if (!low) return `${cardinal(high)} hundred`;
+      return `${cardinal(high)} ${low < 10 ? `oh ${EN_ONES[low]}` : enBelow100(low)}`;
+    },
+  };
+}
+
+// ——— German ———
+
+const DE_ONES = ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+  'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'];
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+const DE_ORDINALS = { 1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte' };
+
+function deBelow100(n) {
+  if (n < 20) return DE_ONES[n];
+  const ones = n % 10;
+  const tens = DE_TENS[Math.floor(n / 10)];
+  return ones ? `${ones === 1 ? 'ein' : DE_ONES[ones]}und${tens}` : tens;
+}
+
+function deBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return (hundreds ? `${hundreds === 1 ? 'ein' : DE_ONES[hundreds]}hundert` : '') + (rest ? deBelow100(rest) : '');
+}
+
+const german = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'null';
+    if (n === 1 && gender) return gender === 'f' ? 'eine' : 'ein';
+    const words = [];
+    let compound = '';
+    for (const { value, scale } of groups(n)) {
+      if (scale === 1e9) words.push(value === 1 ? 'eine Milliarde' : `${deBelow1000(value).replace(/eins$/, 'eine')} Milliarden`);
+      else if (scale === 1e6) words.push(value === 1 ? 'eine Million' : `${deBelow1000(value).replace(/eins$/, 'eine')} Millionen`);
+      else if (scale === 1e3) compound += `${deBelow1000(value).replace(/eins$/, 'ein')}tausend`;
+      else compound += deBelow1000(value);
+    }
+    if (compound) words.push(compound);
+    return words.join(' ');
+  },
+  ordinal(n) {
+    const rest = n % 100;
+    if (rest > 0 && rest < 20) {
+      const prefix = n >= 100 ? german.cardinal(n - rest) : '';
+      return prefix + (DE_ORDINALS[rest] || `${DE_ONES[rest]}te`);
+    }
+    return `${german.cardinal(n)}ste`;
+  },
+  day: (n) => german.ordinal(n),
+  // 1999 -> neunzehnhundertneunundneunzig
+  year(n) {
+    if (n < 1100 || n > 1999) return german.cardinal(n);
+    const low = n % 100;
+    return `${deBelow100(Math.floor(n / 100))}hundert${low ? deBelow100(low) : ''}`;
+  },
+};
+
+// ——— French ———
+
+const FR_ONES = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize'];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+function frBelow100(n) {
+  if (n < 17) return FR_ONES[n];
+  if (n < 20) return `dix-${FR_ONES[n - 10]}`;
+  const tens = Math.floor(n / 10);
+  const ones = n % 10;
+  if (tens === 7 || tens === 9) {
+    if (n === 71) return 'soixante et onze';
+    return `${tens === 7 ? 'soixante' : 'quatre-vingt'}-${frBelow100(10 + ones)}`;
+  }
+  if (tens === 8) return ones ? `quatre-vingt-${FR_ONES[ones]}` : 'quatre-vingts';
+  if (!ones) return FR_TENS[tens];
+  return ones === 1 ? `${FR_TENS[tens]} et un` : `${FR_TENS[tens]}-${FR_ONES[ones]}`;
+}
+
+function frBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundreds) words.push(hundreds === 1 ? 'cent' : `${FR_ONES[hundreds]} cent${rest ? '' : 's'}`);
+  if (rest) words.push(frBelow100(rest));
+  return words.join(' ');
+}
+
+const french = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'zéro';
+    const words = groups(n).map(({ value, scale }) => {
+      if (scale === 1e9) return value === 1 ? 'un milliard' : `${frBelow1000(value)} milliards`;
+      if (scale === 1e6) return value === 1 ? 'un million' : `${frBelow1000(value)} millions`;
+      // "mille" is invariable and "cents"/"vingts" lose their s in front of it
+      if (scale === 1e3) return value === 1 ? 'mille' : `${frBelow1000(value).replace(/(cent|vingt)s$/, '$1')} mille`;
+      return frBelow1000(value);
+    }).join(' ');
+    return gender === 'f' ? words.replace(/\bun$/, 'une') : words;
+  },
+  ordinal(n, { gender } = {}) {
+    if (n === 1) return gender === 'f' ? 'première' : 'premier';
+    return french.cardinal(n)
+      .replace(/cinq$/, 'cinqu')
+      .replace(/neuf$/, 'neuv')
+      .replace(/(vingt|cent)s$/, '$1')
+      .replace(/e$/, '') + 'ième';
+  },
+  // le premier mars, le quatorze mars
+  day: (n) => (n === 1 ? 'premier' : french.cardinal(n)),
+  year: (n) => french.cardinal(n),
+};
+
+// ——— Spanish ———
+
+const ES_ONES = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve', 'veinte',
+  'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'];
+const ES_TENS = ['', '', 'veinte', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+  'setecientos', 'ochocientos', 'novecientos'];
+const ES_ORDINALS = ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno', 'décimo'];
+
+function esBelow100(n) {
+  if (n < 30) return ES_ONES[n];
+  const ones = n % 10;
+  return ES_TENS[Math.floor(n / 10)] + (ones ? ` y ${ES_ONES[ones]}` : '');
+}
+
+function esBelow1000(n) {
+  if (n === 100) return 'cien';
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? ES_HUNDREDS[hundreds] : '', rest ? esBelow100(rest) : ''].filter(Boolean).join(' ');
+}
+
+// "uno" shortens in front of a masculine noun: un millón, veintiún mil
+function esApocope(words) {
+  return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function esBelowMillion(n) {
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+  const words = [];
+  if (thousands) words.push(thousands === 1 ? 'mil' : `${esApocope(esBelow1000(thousands))} mil`);
+  if (rest) words.push(esBelow1000(rest));
+  return words.join(' ');
+}
+
+const spanish = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'cero';
+    const millions = Math.floor(n / 1e6);
+    const rest = n % 1e6;
+    const words = [];
+    // Spanish uses the long scale: 10^9 is "mil millones"
+    if (millions) words.push(millions === 1 ? 'un millón' : `${esApocope(esBelowMillion(millions))} millones`);
+    if (rest) words.push(esBelowMillion(rest));
+    const text = words.join(' ');
+    if (gender === 'f') return text.replace(/veintiuno$/, 'veintiuna').replace(/uno$/, 'una');
+    return gender === 'm' ? esApocope(text) : text;
+  },
+  ordinal(n, { gender } = {}) {
+    const word = ES_ORDINALS[n];
+    if (!word) return spanish.cardinal(n);
+    return gender === 'f' ? word.replace(/o$/, 'a') : word;
+  },
+  day: (n) => spanish.cardinal(n),
+  year: (n) => spanish.cardinal(n),
+};
+
+// ——— Italian ———
+
+const IT_ONES = ['zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove', 'dieci',
+  'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove'];
+const IT_TENS = ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'];
+const IT_ORDINALS = ['', 'primo', 'secondo', 'terzo', 'quarto', 'quinto', 'sesto', 'settimo', 'ottavo', 'nono', 'decimo'];
+
+function itBelow100(n) {
+  if (n < 20) return IT_ONES[n];
+  const tens = IT_TENS[Math.floor(n / 10)];
+  const ones = n % 10;
+  if (!ones) return tens;
+  // ventuno, ventotto, ventitré
+  const stem = ones === 1 || ones === 8 ? tens.slice(0, -1) : tens;
+  return stem + (ones === 3 ? 'tré' : IT_ONES[ones]);
+}
+
+function itBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return (hundreds ? `${hundreds === 1 ? '' : IT_ONES[hundreds]}cento` : '') + (rest ? itBelow100(rest) : '');
+}
+
+const italian = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'zero';
+    if (n === 1 && gender) return gender === 'f' ? 'una' : 'un';
+    const words = [];
+    let compound = '';
+    for (const { value, scale } of groups(n)) {
+      if (scale === 1e9) words.push(value === 1 ? 'un miliardo' : `${itBelow1000(value)} miliardi`);
+      else if (scale === 1e6) words.push(value === 1 ? 'un milione' : `${itBelow1000(value)} milioni`);
+      else if (scale === 1e3) compound += value === 1 ? 'mille' : `${itBelow1000(value).replace(/uno$/, 'un')}mila`;
+      else compound += itBelow1000(value);
+    }
+    if (compound) words.push(compound);
+    return words.join(' ');
+  },
+  ordinal(n, { gender } = {}) {
+    let word = IT_ORDINALS[n];
+    if (!word) {
+      const cardinal = italian.cardinal(n);
+      if (cardinal.endsWith('tré')) word = `${cardinal.slice(0, -1)}eesimo`;
+      else if (cardinal.endsWith('sei')) word = `${cardinal}esimo`;
+      else word = `${cardinal.slice(0, -1)}esimo`;
+    }
+    return gender === 'f' ? word.replace(/o$/, 'a') : word;
+  },
+  day: (n) => (n === 1 ? 'primo' : italian.cardinal(n)),
+  year: (n) => italian.cardinal(n),
+};
+
+// ——— Portuguese (Brazil) ———
+
+const PT_ONES = ['zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove', 'dez',
+  'onze', 'doze', 'treze', 'catorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'];
+const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const PT_HUNDREDS = ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos',
+  'setecentos', 'oitocentos', 'novecentos'];
+const PT_ORDINALS = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono', 'décimo'];
+
+function ptBelow100(n) {
+  if (n < 20) return PT_ONES[n];
+  const ones = n % 10;
+  return PT_TENS[Math.floor(n / 10)] + (ones ? ` e ${PT_ONES[ones]}` : '');
+}
+
+function ptBelow1000(n) {
+  if (n === 100) return 'cem';
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? PT_HUNDREDS[hundreds] : '', rest ? ptBelow100(rest) : ''].filter(Boolean).join(' e ');
+}
+
+const portuguese = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'zero';
+    const parts = groups(n);
+    let text = '';
+    parts.forEach(({ value, scale }, i) => {
+      let words;
+      if (scale === 1e9) words = value === 1 ? 'um bilhão' : `${ptBelow1000(value)} bilhões`;
+      else if (scale === 1e6) words = value === 1 ? 'um milhão' : `${ptBelow1000(value)} milhões`;
+      else if (scale === 1e3) words = value === 1 ? 'mil' : `${ptBelow1000(value)} mil`;
+      else words = ptBelow1000(value);
+      // "mil e cem", "mil e vinte", but "mil duzentos e trinta"
+      if (i > 0) text += value < 100 || value % 100 === 0 ? ' e ' : ' ';
+      text += words;
+    });
+    if (gender === 'f') return text.replace(/\bum$/, 'uma').replace(/\bdois$/, 'duas');
+    return text;
+  },
+  ordinal(n, { gender } = {}) {
+    const word = PT_ORDINALS[n];
+    if (!word) return portuguese.cardinal(n);
+    return gender === 'f' ? word.replace(/o$/, 'a') : word;
+  },
+  day: (n) => (n === 1 ? 'primeiro' : portuguese.cardinal(n)),
+  year: (n) => portuguese.cardinal(n),
+};
+
+// ——— Dutch ———
+
+const NL_ONES = ['nul', 'een', 'twee', 'drie', 'vier', 'vijf', 'zes', 'zeven', 'acht', 'negen', 'tien',
+  'elf', 'twaalf', 'dertien', 'veertien', 'vijftien', 'zestien', 'zeventien', 'achttien', 'negentien'];
+const NL_TENS = ['', '', 'twintig', 'dertig', 'veertig', 'vijftig', 'zestig', 'zeventig', 'tachtig', 'negentig'];
+const NL_ORDINALS = { 1: 'eerste', 3: 'derde', 8: 'achtste' };
+
+function nlBelow100(n) {
+  if (n < 20) return NL_ONES[n];
+  const ones = n % 10;
+  const tens = NL_TENS[Math.floor(n / 10)];
+  if (!ones) return tens;
+  return NL_ONES[ones] + (ones === 2 || ones === 3 ? 'ën' : 'en') + tens;
+}
+
+function nlBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return (hundreds ? `${hundreds === 1 ? '' : NL_ONES[hundreds]}honderd` : '') + (rest ? nlBelow100(rest) : '');
+}
+
+const dutch = {
+  cardinal(n) {
+    if (n === 0) return 'nul';
+    return groups(n).map(({ value, scale }) => {
+      if (scale === 1e9) return `${nlBelow1000(value)} miljard`;
+      if (scale === 1e6) return `${nlBelow1000(value)} miljoen`;
+      if (scale === 1e3) return `${value === 1 ? '' : nlBelow1000(value)}duizend`;
+      return nlBelow1000(value);
+    }).join(' ');
+  },
+  ordinal(n) {
+    const rest = n % 100;
+    if (rest > 0 && rest < 20) {
+      const prefix = n >= 100 ? dutch.cardinal(n - rest) : '';
+      return prefix + (NL_ORDINALS[rest] || `${NL_ONES[rest]}de`);
+    }
+    return `${dutch.cardinal(n)}ste`;
+  },
+  day: (n) => dutch.cardinal(n),
+  // 1999 -> negentienhonderdnegenennegentig
+  year(n) {
+    if (n < 1100 || n > 1999) return dutch.cardinal(n);
+    const low = n % 100;
+    return `${nlBelow100(Math.floor(n / 100))}honderd${low ? nlBelow100(low) : ''}`;
+  },
+};
+
+// ——— Swedish ———
+
+const SV_ONES = ['noll', 'ett', 'två', 'tre', 'fyra', 'fem', 'sex', 'sju', 'åtta', 'nio', 'tio',
+  'elva', 'tolv', 'tretton', 'fjorton', 'femton', 'sexton', 'sjutton', 'arton', 'nitton'];
+const SV_TENS = ['', '', 'tjugo', 'trettio', 'fyrtio', 'femtio', 'sextio', 'sjuttio', 'åttio', 'nittio'];
+const SV_ORDINALS = ['', 'första', 'andra', 'tredje', 'fjärde', 'femte', 'sjätte', 'sjunde', 'åttonde', 'nionde', 'tionde',
+  'elfte', 'tolfte', 'trettonde', 'fjortonde', 'femtonde', 'sextonde', 'sjuttonde', 'artonde', 'nittonde'];
+
+function svBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const tens = rest < 20 ? (rest ? SV_ONES[rest] : '') : SV_TENS[Math.floor(rest / 10)] + (rest % 10 ? SV_ONES[rest % 10] : '');
+  return (hundreds ? `${hundreds === 1 ? '' : SV_ONES[hundreds]}hundra` : '') + tens;
+}
+
+const swedish = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'noll';
+    // "en" for common-gender nouns: en kilometer, en minut
+    if (n === 1 && gender === 'c') return 'en';
+    const words = [];
+    let compound = '';
+    for (const { value, scale } of groups(n)) {
+      if (scale === 1e9) words.push(value === 1 ? 'en miljard' : `${svBelow1000(value)} miljarder`);
+      else if (scale === 1e6) words.push(value === 1 ? 'en miljon' : `${svBelow1000(value)} miljoner`);
+      else if (scale === 1e3) compound += `${value === 1 ? '' : svBelow1000(value)}tusen`;
+      else compound += svBelow1000(value);
+    }
+    if (compound) words.push(compound);
+    return words.join(' ');
+  },
+  ordinal(n) {
+    const rest = n % 100;
+    const prefix = n >= 100 ? swedish.cardinal(n - rest) : '';
+    if (!rest) return `${swedish.cardinal(n)}de`;
+    if (rest < 20) return prefix + SV_ORDINALS[rest];
+    const tens = SV_TENS[Math.floor(rest / 10)];
+    return prefix + tens + (rest % 10 ? SV_ORDINALS[rest % 10] : 'nde');
+  },
+  day: (n) => swedish.ordinal(n),
+  // 1999 -> nittonhundranittionio
+  year(n) {
+    if (n < 1100 || n > 1999) return swedish.cardinal(n);
+    return `${SV_ONES[Math.floor(n / 100)] || svBelow1000(Math.floor(n / 100))}hundra${svBelow1000(n % 100)}`;
+  },
+};
+
+// ——— Danish (vigesimal tens) ———
+
+const DA_ONES = ['nul', 'en', 'to', 'tre', 'fire', 'fem', 'seks', 'syv', 'otte', 'ni', 'ti',
+  'elleve', 'tolv', 'tretten', 'fjorten', 'femten', 'seksten', 'sytten', 'atten', 'nitten'];
+const DA_TENS = ['', '', 'tyve', 'tredive', 'fyrre', 'halvtreds', 'tres', 'halvfjerds', 'firs', 'halvfems'];
+const DA_ORDINALS = ['', 'første', 'anden', 'tredje', 'fjerde', 'femte', 'sjette', 'syvende', 'ottende', 'niende', 'tiende',
+  'ellevte', 'tolvte', 'trettende', 'fjortende', 'femtende', 'sekstende', 'syttende', 'attende', 'nittende'];
+const DA_TENS_ORDINALS = ['', '', 'tyvende', 'tredivte', 'fyrretyvende', 'halvtredsindstyvende', 'tresindstyvende',
+  'halvfjerdsindstyvende', 'firsindstyvende', 'halvfemsindstyvende'];
+
+function daBelow100(n) {
+  if (n < 20) return DA_ONES[n];
+  const ones = n % 10;
+  return (ones ? `${DA_ONES[ones]}og` : '') + DA_TENS[Math.floor(n / 10)];
+}
+
+function daBelow1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return daBelow100(rest);
+  return `${hundreds === 1 ? 'et' : DA_ONES[hundreds]} hundrede${rest ? ` og ${daBelow100(rest)}` : ''}`;
+}
+
+const danish = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'nul';
+    if (n === 1 && gender === 'n') return 'et';
+    const parts = groups(n);
+    return parts.map(({ value, scale }, i) => {
+      let words;
+      if (scale === 1e9) words = value === 1 ? 'en milliard' : `${daBelow1000(value)} milliarder`;
+      else if (scale === 1e6) words = value === 1 ? 'en million' : `${daBelow1000(value)} millioner`;
+      else if (scale === 1e3) words = `${value === 1 ? 'et' : daBelow1000(value)} tusind`;
+      else words = daBelow1000(value);
+      return i > 0 && scale === 1 && value < 100 ? `og ${words}` : words;
+    }).join(' ');
+  },
+  ordinal(n) {
+    if (n >= 100) return danish.cardinal(n);
+    if (n < 20) return DA_ORDINALS[n];
+    const ones = n % 10;
+    return (ones ? `${DA_ONES[ones]}og` : '') + DA_TENS_ORDINALS[Math.floor(n / 10)];
+  },
+  day: (n) => danish.ordinal(n),
+  // 1999 -> nitten hundrede og nioghalvfems
+  year(n) {
+    if (n < 1100 || n > 1999) return danish.cardinal(n);
+    const low = n % 100;
+    return `${daBelow100(Math.floor(n / 100))} hundrede${low ? ` og ${daBelow100(low)}` : ''}`;
+  },
+};
+
+// ——— Russian ———
+
+const RU_ONES = ['ноль', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять', 'десять',
+  'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать', 'пятнадцать', 'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'];
+const RU_TENS = ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'];
+const RU_HUNDREDS = ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'];
+const RU_GENDERED = { f: { 1: 'одна', 2: 'две' }, n: { 1: 'одно' } };
+const RU_SCALES = {
+  1e9: { forms: { one: 'миллиард', few: 'миллиарда', many: 'миллиардов' }, gender: 'm' },
+  1e6: { forms: { one: 'миллион', few: 'миллиона', many: 'миллионов' }, gender: 'm' },
+  1e3: { forms: { one: 'тысяча', few: 'тысячи', many: 'тысяч' }, gender: 'f' },
+};
+// Neuter ordinals, as in "четырнадцатое марта"
+const RU_DAYS = ['', 'первое', 'второе', 'третье', 'четвёртое', 'пятое', 'шестое', 'седьмое', 'восьмое', 'девятое', 'десятое',
+  'одиннадцатое', 'двенадцатое', 'тринадцатое', 'четырнадцатое', 'пятнадцатое', 'шестнадцатое', 'семнадцатое',
+  'восемнадцатое', 'девятнадцатое', 'двадцатое'];
+
+function ruBelow1000(n, gender) {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (hundreds) words.push(RU_HUNDREDS[hundreds]);
+  if (rest >= 20) words.push(RU_TENS[Math.floor(rest / 10)]);
+  const ones = rest < 20 ? rest : rest % 10;
+  if (ones) words.push(RU_GENDERED[gender]?.[ones] || RU_ONES[ones]);
+  return words.join(' ');
+}
+
+const russian = {
+  cardinal(n, { gender = 'm' } = {}) {
+    if (n === 0) return 'ноль';
+    return groups(n).map(({ value, scale }) => {
+      if (scale === 1) return ruBelow1000(value, gender);
+      const { forms, gender: scaleGender } = RU_SCALES[scale];
+      return `${ruBelow1000(value, scaleGender)} ${pluralForm('ru', value, forms)}`;
+    }).join(' ');
+  },
+  ordinal: (n) => russian.day(n),
+  day(n) {
+    if (n <= 20) return RU_DAYS[n];
+    if (n === 30) return 'тридцатое';
+    if (n < 40) return `${RU_TENS[Math.floor(n / 10)]} ${RU_DAYS[n % 10]}`;
+    return russian.cardinal(n);
+  },
+  year: (n) => russian.cardinal(n),
+};
+
+// ——— Polish ———
+
+const PL_ONES = ['zero', 'jeden', 'dwa', 'trzy', 'cztery', 'pięć', 'sześć', 'siedem', 'osiem', 'dziewięć', 'dziesięć',
+  'jedenaście', 'dwanaście', 'trzynaście', 'czternaście', 'piętnaście', 'szesnaście', 'siedemnaście', 'osiemnaście', 'dziewiętnaście'];
+const PL_TENS = ['', '', 'dwadzieścia', 'trzydzieści', 'czterdzieści', 'pięćdziesiąt', 'sześćdziesiąt', 'siedemdziesiąt',
+  'osiemdziesiąt', 'dziewięćdziesiąt'];
+const PL_HUNDREDS = ['', 'sto', 'dwieście', 'trzysta', 'czterysta', 'pięćset', 'sześćset', 'siedemset', 'osiemset', 'dziewięćset'];
+const PL_SCALES = {
+  1e9: { one: 'miliard', few: 'miliardy', many: 'miliardów' },
+  1e6: { one: 'milion', few: 'miliony', many: 'milionów' },
+  1e3: { one: 'tysiąc', few: 'tysiące', many: 'tysięcy' },
+};
+// Genitive ordinals, as in "czternastego marca"
+const PL_DAYS = ['', 'pierwszego', 'drugiego', 'trzeciego', 'czwartego', 'piątego', 'szóstego', 'siódmego', 'ósmego',
+  'dziewiątego', 'dziesiątego', 'jedenastego', 'dwunastego', 'trzynastego', 'czternastego', 'piętnastego', 'szesnastego',
+  'siedemnastego', 'osiemnastego', 'dziewiętnastego', 'dwudziestego'];
+
+function plBelow1000(n, gender) {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (hundreds) words.push(PL_HUNDREDS[hundreds]);
+  if (rest >= 20) words.push(PL_TENS[Math.floor(rest / 10)]);
+  const ones = rest < 20 ? rest : rest % 10;
+  if (ones) {
+    if (gender === 'f' && ones === 1 && n === 1) words.push('jedna');
+    else if (gender === 'f' && ones === 2 && rest !== 12) words.push('dwie');
+    else words.push(PL_ONES[ones]);
+  }
+  return words.join(' ');
+}
+
+const polish = {
+  cardinal(n, { gender } = {}) {
+    if (n === 0) return 'zero';
+    return groups(n).map(({ value, scale }) => {
+      if (scale === 1) return plBelow1000(value, gender);
+      // "tysiąc", not "jeden tysiąc"
+      const noun = pluralForm('pl', value, PL_SCALES[scale]);
+      return value === 1 ? noun : `${plBelow1000(value)} ${noun}`;
+    }).join(' ');
+  },
+  ordinal: (n) => polish.day(n),
+  day(n) {
+    if (n <= 20) return PL_DAYS[n];
+    if (n === 30) return 'trzydziestego';
+    if (n < 40) return `${n < 30 ? 'dwudziestego' : 'trzydziestego'} ${PL_DAYS[n % 10]}`;
+    return polish.cardinal(n);
+  },
+  year: (n) => polish.cardinal(n),
+};
+
+const SPELLERS = {
+  en: english(false),
+  'en-gb': english(true),
+  de: german,
+  fr: french,
+  es: spanish,
+  it: italian,
+  pt: portuguese,
+  nl: dutch,
+  sv: swedish,
+  da: danish,
+  ru: russian,
+  pl: polish,
+};
+
+// "en_GB" -> the British English speller, "de_AT" -> German; null when the language has none
+function speller(locale) {
+  const [lang, region = ''] = String(locale || '').toLowerCase().split(/[_-]/);
+  return SPELLERS[`${lang}-${region}`] || SPELLERS[lang] || null;
+}
+
+// Spell a non-negative integer given as a string; leading zeros and very long numbers go digit by digit
+function spellInteger(spell, digits, options) {
+  const n = Number(digits);
+  if ((digits.length > 1 && digits.startsWith('0')) || n > MAX_SPELLED) {
+    return spellDigits(spell, digits);
+  }
+  return spell.cardinal(n, options);
+}
+
+function spellDigits(spell, digits) {
+  return [...digits].map((d) => spell.cardinal(Number(d))).join(' ');
+}
+
+module.exports = {
+  speller,
+  spellInteger,
+  spellDigits,
+  pluralForm,
+};
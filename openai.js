@@ -0,0 +1,192 @@
+const express = require('express');
+const path = require('path');
+const { config } = require("./config");
+const { httpError, errorCode } = require('./errors');
+const { normalizeWhisperModel } = require('./stt');
+const { getEngine, hasEngine, engineOptions } = require('./engines');
+const { formatTranscript, transcriptDuration } = require('./transcript');
+const { resolveMode, filterTranscript } = require('./profanity');
+const { synthesizeSpeech } = require('./speech');
+const { getVoice } = require('./voices');
+const { receiveAudio, billedSeconds } = require('./uploads');
+const {
+  authorizeRequest,
+  checkAudioQuota,
+  recordAudioSeconds,
+  checkCharacters,
+  recordCharacters,
+} = require('./auth');
+
+const TRANSCRIPTION_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+// OpenAI format -> our tts-output format; aac and flac have no encoder here
+const SPEECH_FORMATS = { mp3: 'mp3', opus: 'ogg', wav: 'wav', pcm: 'pcm' };
+const MAX_INPUT_CHARACTERS = 4096;
+
+// OpenAI voice names have no Piper equivalent; config.openAiVoices maps them, falling back to config.voice
+const OPENAI_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer', 'verse'];
+
+// { error: { message, type, param, code } } as the OpenAI SDKs expect
+function sendOpenAiError(res, err) {
+  const status = err.status || 500;
+  let type = 'invalid_request_error';
+  // OpenAI's own codes where clients expect them, otherwise the stable code of the native API
+  let code = errorCode(err).toLowerCase();
+  if (status === 401) code = 'invalid_api_key';
+  if (status === 429) {
+    type = 'requests';
+    code = err.code === 'QUOTA_EXCEEDED' ? 'insufficient_quota' : 'rate_limit_exceeded';
+  }
+  if (status >= 500) type = 'server_error';
+  if (status >= 500 && !err.status) console.error(err);
+  if (err.headers) res.set(err.headers);
+  res.status(status).json({
+    error: {
+      message: status >= 500 && !err.status ? 'Internal server error' : err.message,
+      type,
+      param: err.param || null,
+      code,
+    },
+  });
+}
+
+function paramError(param, message) {
+  const err = httpError(400, message);
+  err.param = param;
+  return err;
+}
+
+// "whisper-1" means the server's default engine; vosk*, other engine names and Whisper model names
+// pick an engine explicitly
+function resolveSttModel(model) {
+  const name = String(model || 'whisper-1').toLowerCase();
+  if (name.startsWith('vosk')) return { engine: 'vosk' };
+  if (name === 'whisper-1') {
+    const engine = String(config.sttEngine || 'vosk').toLowerCase();
+    return { engine: engine === 'both' ? 'vosk' : engine };
+  }
+  if (hasEngine('stt', name)) return { engine: name };
+  return { engine: 'whisper', model: normalizeWhisperModel(name.replace(/^whisper-/, '')) };
+}
+
+function toVerboseJson(transcript, language, includeWords) {
+  const result = {
+    task: 'transcribe',
+    language: language || 'unknown',
+    duration: transcriptDuration(transcript),
+    text: transcript.text,
+    segments: transcript.segments.map((segment, id) => ({
+      id,
+      seek: 0,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      tokens: [],
+      temperature: 0,
+      avg_logprob: 0,
+      compression_ratio: 0,
+      no_speech_prob: 0,
+    })),
+  };
+  if (includeWords) result.words = transcript.segments.flatMap((segment) => segment.words);
+  return result;
+}
+
+function resolveSpeechVoice(voice) {
+  if (!voice) throw paramError('voice', 'Missing required parameter: voice');
+  const name = String(voice);
+  const installed = getVoice(name);
+  if (installed && installed.installed) return name;
+  const mapped = (config.openAiVoices || {})[name.toLowerCase()];
+  if (mapped) return mapped;
+  if (OPENAI_VOICES.includes(name.toLowerCase()) && config.voice) return config.voice;
+  throw paramError('voice', `Voice ${name} is not installed`);
+}
+
+async function handleTranscription(req, res) {
+  const filePath = req.file?.path;
+  try {
+    if (!filePath) throw paramError('file', 'Missing required parameter: file');
+    const format = String(req.body.response_format || 'json').toLowerCase();
+    if (!TRANSCRIPTION_FORMATS.includes(format)) {
+      throw paramError('response_format', `Unsupported response_format: ${format}`);
+    }
+    checkAudioQuota(req);
+
+    const { engine, model } = resolveSttModel(req.body.model);
+    const language = req.body.language || undefined;
+    const signal = req.uploadSignal;
+    const sttEngine = getEngine('stt', engine);
+    const raw = await sttEngine.transcribe(filePath, engineOptions(sttEngine, { model }, { language, signal }));
+    const duration = billedSeconds(req.file, raw);
+    recordAudioSeconds(req, duration);
+    const transcript = filterTranscript(raw, resolveMode());
+
+    if (format === 'json') {
+      res.json({ text: transcript.text });
+    } else if (format === 'verbose_json') {
+      const granularities = [].concat(req.body['timestamp_granularities[]'] || req.body.timestamp_granularities || []);
+      res.json(toVerboseJson({ ...transcript, duration }, language, granularities.includes('word')));
+    } else {
+      const { contentType, body } = formatTranscript(transcript, format);
+      res.type(contentType).send(body);
+    }
+  } catch (err) {
+    sendOpenAiError(res, err);
+  }
+}
+
+async function handleSpeech(req, res) {
+  try {
+    const { input } = req.body;
+    if (!input || typeof input !== 'string') throw paramError('input', 'Missing required parameter: input');
+    if (input.length > MAX_INPUT_CHARACTERS) {
+      throw paramError('input', `input must be at most ${MAX_INPUT_CHARACTERS} characters`);
+    }
+    const requestedFormat = String(req.body.response_format || 'mp3').toLowerCase();
+    const format = SPEECH_FORMATS[requestedFormat];
+    if (!format) throw paramError('response_format', `Unsupported response_format: ${requestedFormat}`);
+
+    const body = { text: input, voice: resolveSpeechVoice(req.body.voice), format };
+    // OpenAI's pcm is 24 kHz 16-bit mono
+    if (format === 'pcm') body.sampleRate = 24000;
+    if (req.body.speed !== undefined) {
+      const speed = Number(req.body.speed);
+      if (!Number.isFinite(speed) || speed < 0.25 || speed > 4) {
+        throw paramError('speed', 'speed must be between 0.25 and 4.0');
+      }
+      body.lengthScale = 1 / speed;
+    }
+
+    checkCharacters(req, input.length);
+    const speech = await synthesizeSpeech(body);
+    recordCharacters(req, input.length);
+    res.set(speech.headers);
+    res.type(speech.contentType);
+    res.sendFile(path.resolve(speech.path), () => speech.cleanup());
+  } catch (err) {
+    sendOpenAiError(res, err);
+  }
+}
+
+// OpenAI-compatible audio API, mounted at /v1 ahead of the global key check so auth errors are OpenAI-shaped too
+function openAiRouter() {
+  const router = express.Router();
+  router.use((req, res, next) => {
+    try {
+      authorizeRequest(req);
+      next();
+    } catch (err) {
+      sendOpenAiError(res, err);
+    }
+  });
+  const receiveFile = (req, res, next) => receiveAudio('file')(req, res, (err) => {
+    if (err) sendOpenAiError(res, err.status && err.status !== 400 ? err : paramError('file', err.message));
+    else next();
+  });
+  router.post('/audio/transcriptions', receiveFile, handleTranscription);
+  router.post('/audio/speech', handleSpeech);
+  router.use((req, res) => sendOpenAiError(res, httpError(404, `Unknown endpoint: ${req.method} /v1${req.path}`)));
+  return router;
+}
+
+module.exports = { openAiRouter, sendOpenAiError };
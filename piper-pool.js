@@ -0,0 +1,239 @@
+const { spawn } = require("child_process");
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { config } = require("./config");
+const { apiError } = require('./errors');
+const logger = console;
+
+const WORKER_SCRIPT = path.join(__dirname, 'piper_worker.py');
+
+// Warm Piper processes per voice: { workers: [], queue: [] }
+const pools = new Map();
+let nextJobId = 1;
+
+// Every worker is a Python process holding its own copy of the model, so pools stay small: a few
+// workers per voice, and no more than piperMaxWorkers (default: one per core) across all voices
+function poolSize() {
+  return Math.max(1, parseInt(config.piperPoolSize, 10) || 2);
+}
+
+function maxWorkers() {
+  return Math.max(1, parseInt(config.piperMaxWorkers, 10) || os.cpus().length);
+}
+
+// A job running longer than this fails and its worker is replaced; 0 waits forever
+function jobTimeoutMs() {
+  const value = parseInt(config.piperJobTimeoutMs, 10);
+  return Number.isFinite(value) && value >= 0 ? value : 120 * 1000;
+}
+
+function allWorkers() {
+  return [...pools.values()].flatMap((pool) => pool.workers);
+}
+
+function idleTimeoutMs() {
+  const value = parseInt(config.piperIdleTimeoutMs, 10);
+  return Number.isFinite(value) ? value : 5 * 60 * 1000;
+}
+
+function getPool(voice) {
+  if (!pools.has(voice)) pools.set(voice, { workers: [], queue: [] });
+  return pools.get(voice);
+}
+
+function spawnWorker(voice, ttsConfig) {
+  const pool = getPool(voice);
+  const args = [WORKER_SCRIPT, path.resolve(ttsConfig.modelPath)];
+  if (ttsConfig.configPath) args.push(path.resolve(ttsConfig.configPath));
+
+  const child = spawn(ttsConfig.pythonPath, args, { stdio: ["pipe", "pipe", "inherit"] });
+  const worker = { voice, ttsConfig, child, task: null, idleTimer: null, idleSince: Date.now(), exited: false };
+  pool.workers.push(worker);
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    if (!line.startsWith('{')) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (message.ready || !worker.task || message.id !== worker.task.id) return;
+
+    const task = worker.task;
+    worker.task = null;
+    worker.idleSince = Date.now();
+    clearTimeout(task.timer);
+    if (message.ok) task.resolve(task.job.output_file);
+    else task.reject(new Error(`Piper failed: ${message.error}`));
+    if (worker.retired) worker.child.kill();
+    dispatchAll();
+  });
+
+  const onExit = (reason) => {
+    if (worker.exited) return;
+    worker.exited = true;
+    clearTimeout(worker.idleTimer);
+    pool.workers.splice(pool.workers.indexOf(worker), 1);
+
+    const task = worker.task;
+    worker.task = null;
+    if (task) {
+      clearTimeout(task.timer);
+      // Crashed mid-job: give it one more go on a fresh worker
+      if (task.attempts < 2) {
+        logger.error(`Piper worker for ${voice} died (${reason}), retrying job on a new worker.`);
+        pool.queue.unshift(task);
+      } else {
+        task.reject(new Error(`Piper worker exited (${reason})`));
+      }
+    }
+    // a slot is free now, for this voice or one waiting on the global limit
+    dispatchAll();
+  };
+
+  child.on('exit', (code, signal) => onExit(signal || `code ${code}`));
+  child.on('error', (err) => onExit(err.message));
+  child.stdin.on('error', () => {});
+  return worker;
+}
+
+function runTask(worker, task) {
+  clearTimeout(worker.idleTimer);
+  worker.idleTimer = null;
+  worker.task = task;
+  task.attempts += 1;
+  const timeout = jobTimeoutMs();
+  if (timeout > 0) {
+    // A hung worker would hold the request forever: fail the job and kill the worker, which is
+    // replaced the next time its voice has work
+    task.timer = setTimeout(() => {
+      if (worker.task !== task) return;
+      worker.task = null;
+      worker.retired = true;
+      task.reject(apiError('UPSTREAM_TIMEOUT', `Piper did not finish within ${timeout} ms`));
+      logger.error(`Piper worker for ${worker.voice} timed out, replacing it.`);
+      worker.child.kill('SIGKILL');
+    }, timeout);
+  }
+  worker.child.stdin.write(JSON.stringify({ id: task.id, ...task.job }) + "\n");
+}
+
+function scheduleEviction(worker) {
+  const timeout = idleTimeoutMs();
+  if (timeout <= 0) return;
+  worker.idleTimer = setTimeout(() => worker.child.kill(), timeout);
+  worker.idleTimer.unref();
+}
+
+// At the global limit, stop the idle worker of another voice that has waited longest so this
+// voice can start one once it exits; when every worker is busy the job waits for one to finish
+function freeWorkerSlot(voice) {
+  const workers = allWorkers();
+  if (workers.some((w) => w.retired && !w.task)) return;
+  const idle = workers.filter((w) => w.voice !== voice && !w.task && !w.exited);
+  if (!idle.length) return;
+  idle.sort((a, b) => a.idleSince - b.idleSince);
+  idle[0].retired = true;
+  idle[0].child.kill();
+}
+
+// Hand queued jobs to idle workers, starting new workers up to the pool size and the global limit
+function dispatch(voice) {
+  const pool = pools.get(voice);
+  if (!pool) return;
+  while (pool.queue.length) {
+    let worker = pool.workers.find((w) => !w.task && !w.exited && !w.retired);
+    if (!worker) {
+      if (pool.workers.filter((w) => !w.retired).length >= poolSize()) break;
+      // retired workers still hold memory until they exit, so they count towards the limit
+      if (allWorkers().length >= maxWorkers()) {
+        freeWorkerSlot(voice);
+        break;
+      }
+      worker = spawnWorker(voice, pool.queue[0].ttsConfig);
+    }
+    runTask(worker, pool.queue.shift());
+  }
+  for (const worker of pool.workers) {
+    if (!worker.task && !worker.idleTimer && !worker.retired) scheduleEviction(worker);
+  }
+}
+
+function dispatchAll() {
+  for (const voice of [...pools.keys()]) dispatch(voice);
+}
+
+// Queue one synthesis job; resolves with the written WAV path.
+// options are Piper synthesis settings (speaker_id, length_scale, noise_scale, noise_w, sentence_silence).
+function synthesizeWithPool(voice, ttsConfig, text, outputFile, options = {}) {
+  return new Promise((resolve, reject) => {
+    const task = {
+      id: nextJobId++,
+      ttsConfig,
+      job: { text, output_file: path.resolve(outputFile), options },
+      attempts: 0,
+      resolve: () => resolve(outputFile),
+      reject,
+    };
+    getPool(voice).queue.push(task);
+    dispatch(voice);
+  });
+}
+
+function queueDepth() {
+  let depth = 0;
+  for (const pool of pools.values()) depth += pool.queue.length;
+  return depth;
+}
+
+function poolStats() {
+  const stats = {};
+  for (const [voice, pool] of pools) {
+    stats[voice] = {
+      workers: pool.workers.length,
+      busy: pool.workers.filter((w) => w.task).length,
+      queued: pool.queue.length,
+    };
+  }
+  return stats;
+}
+
+// Stop a voice's workers, e.g. after it was uninstalled; queued jobs fail
+function stopVoiceWorkers(voice) {
+  const pool = pools.get(voice);
+  if (!pool) return;
+  pools.delete(voice);
+  for (const task of pool.queue.splice(0)) task.reject(new Error(`Voice ${voice} was unloaded`));
+  for (const worker of [...pool.workers]) {
+    if (worker.task) worker.task.reject(new Error(`Voice ${voice} was unloaded`));
+    worker.task = null;
+    worker.child.kill();
+  }
+}
+
+// Replace a voice's workers after its config changed, without failing work in progress: idle
+// workers stop now, busy ones after their current job, and queued jobs start on the new config
+function retireVoiceWorkers(voice, ttsConfig) {
+  const pool = pools.get(voice);
+  if (!pool) return;
+  if (ttsConfig) for (const task of pool.queue) task.ttsConfig = ttsConfig;
+  for (const worker of pool.workers) {
+    worker.retired = true;
+    if (!worker.task) worker.child.kill();
+  }
+}
+
+function shutdownPool() {
+  for (const voice of [...pools.keys()]) stopVoiceWorkers(voice);
+}
+
+module.exports = {
+  synthesizeWithPool,
+  queueDepth,
+  poolStats,
+  stopVoiceWorkers,
+  retireVoiceWorkers,
+  shutdownPool,
+};
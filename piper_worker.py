@@ -0,0 +1,79 @@
+"""Long-lived Piper process driven by piper-pool.js.
+
+Loads one voice model once, then reads JSON jobs from stdin (one per line) and
+answers each with a JSON line on stdout: {"id": ..., "ok": true} or an error.
+"""
+import json
+import sys
+import wave
+
+from piper import PiperVoice
+
+
+def synthesize(voice, job):
+    options = job.get("options") or {}
+    silence = float(options.get("sentence_silence") or 0.0)
+
+    with wave.open(job["output_file"], "wb") as wav_file:
+        if not hasattr(voice, "synthesize_wav"):
+            # piper-tts 1.2
+            voice.synthesize(
+                job["text"],
+                wav_file,
+                speaker_id=options.get("speaker_id"),
+                length_scale=options.get("length_scale"),
+                noise_scale=options.get("noise_scale"),
+                noise_w=options.get("noise_w"),
+                sentence_silence=silence,
+            )
+            return
+
+        # piper-tts >= 1.3
+        from piper import SynthesisConfig
+
+        syn_config = SynthesisConfig(
+            speaker_id=options.get("speaker_id"),
+            length_scale=options.get("length_scale"),
+            noise_scale=options.get("noise_scale"),
+            noise_w_scale=options.get("noise_w"),
+        )
+        if not silence:
+            voice.synthesize_wav(job["text"], wav_file, syn_config=syn_config)
+            return
+
+        # 1.3 has no sentence_silence option; pad between the per-sentence chunks instead
+        first = True
+        for chunk in voice.synthesize(job["text"], syn_config=syn_config):
+            if first:
+                wav_file.setframerate(chunk.sample_rate)
+                wav_file.setsampwidth(chunk.sample_width)
+                wav_file.setnchannels(chunk.sample_channels)
+                first = False
+            else:
+                frames = int(chunk.sample_rate * silence)
+                wav_file.writeframes(bytes(frames * chunk.sample_width * chunk.sample_channels))
+            wav_file.writeframes(chunk.audio_int16_bytes)
+
+
+def main():
+    model_path = sys.argv[1]
+    config_path = sys.argv[2] if len(sys.argv) > 2 else None
+    voice = PiperVoice.load(model_path, config_path=config_path)
+    print(json.dumps({"ready": True, "sampleRate": voice.config.sample_rate}), flush=True)
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        job_id = None
+        try:
+            job = json.loads(line)
+            job_id = job.get("id")
+            synthesize(voice, job)
+            print(json.dumps({"id": job_id, "ok": True}), flush=True)
+        except Exception as err:  # report and keep serving
+            print(json.dumps({"id": job_id, "ok": False, "error": str(err)}), flush=True)
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,123 @@
+const { config, badwords } = require("./config");
+const { httpError, apiError } = require('./errors');
+
+const MODES = ['off', 'mask', 'remove', 'reject'];
+
+const words = new Set();
+let pattern = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Bitch!" and "bitch?" in the list are the same word once surrounding punctuation is gone
+function normalizeEntry(entry) {
+  return String(entry)
+    .toLowerCase()
+    .trim()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}*]+$/gu, '')
+    .replace(/\s+/g, ' ');
+}
+
+// One alternation, longest entries first, only matching whole words or phrases
+function buildPattern() {
+  if (!words.size) {
+    pattern = null;
+    return;
+  }
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => escapeRegExp(word).replace(/ /g, '\\s+'));
+  pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function addWords(list) {
+  const added = [];
+  for (const entry of [].concat(list || [])) {
+    const word = normalizeEntry(entry);
+    if (word && !words.has(word)) {
+      words.add(word);
+      added.push(word);
+    }
+  }
+  buildPattern();
+  return added;
+}
+
+function removeWords(list) {
+  const removed = [];
+  for (const entry of [].concat(list || [])) {
+    const word = normalizeEntry(entry);
+    if (words.delete(word)) removed.push(word);
+  }
+  buildPattern();
+  return removed;
+}
+
+function listWords() {
+  return [...words].sort();
+}
+
+function resolveMode(requested) {
+  const mode = String(requested || config.profanityFilter || 'off').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw httpError(400, `Unknown profanity filter mode: ${mode} (expected one of ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function mask(match) {
+  return match.replace(/[\p{L}\p{N}*]+/gu, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+// Returns the filtered text and how many matches were found; throws 422 in reject mode
+function filterText(text, mode) {
+  const input = String(text ?? '');
+  if (mode === 'off' || !pattern) return { text: input, flagged: 0 };
+
+  let flagged = 0;
+  const output = input.replace(pattern, (match) => {
+    flagged += 1;
+    if (mode === 'mask') return mask(match);
+    return '';
+  });
+
+  if (flagged && mode === 'reject') {
+    throw apiError('TEXT_BLOCKED', 'Text contains blocked words');
+  }
+  if (mode === 'remove') {
+    return { text: output.replace(/[ \t]{2,}/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim(), flagged };
+  }
+  return { text: output, flagged };
+}
+
+function filterTranscript(transcript, mode) {
+  if (mode === 'off' || !pattern || !transcript) return transcript;
+
+  const segments = transcript.segments.map((segment) => {
+    const words = [];
+    for (const word of segment.words || []) {
+      const filtered = filterText(word.word, mode).text;
+      if (filtered) words.push({ ...word, word: filtered });
+    }
+    return { ...segment, text: filterText(segment.text, mode).text, words };
+  });
+
+  return {
+    ...transcript,
+    text: filterText(transcript.text, mode).text,
+    segments: segments.filter((segment) => segment.text),
+  };
+}
+
+addWords(badwords);
+
+module.exports = {
+  MODES,
+  addWords,
+  removeWords,
+  listWords,
+  resolveMode,
+  filterText,
+  filterTranscript,
+};
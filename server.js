@@ -1,34 +1,111 @@
 const express = require('express');
-const multer = require('multer');
 const fs = require('fs').promises;
 const fsnormal = require('fs-extra');
 const path = require('path');
-const { https } = require('follow-redirects');
-const { pipeline } = require('stream');
-const util = require('util');
-const pipelineAsync = util.promisify(pipeline);
 const os = require('os');
 const cors = require('cors');
 const readline = require('readline');
-const unzipper = require('unzipper');
-const { config } = require("./config");
+const { config, reloadConfig } = require("./config");
 const chalk = require('chalk');
 const bodyParser = require('body-parser');
 const logger = console;
 
+const { providerStatus } = require('./stt-chain');
+const { vadRequested, analyzeSpeech, transcribeInChunks } = require('./vad');
 const {
-    transcribeWithVosk,
-    transcribeWithWhisper,
-    transcribeWithWhisperWithFallback,
-    voskLoader,
-    normalizeWhisperModel,
-} = require('./stt');
-const { synthesizeWithPiper, loadTtsConfigs } = require('./tts');
+    defaultLanguage: defaultVoskLanguage,
+    acquireVoskModel,
+    installVoskModel,
+    verifyInstalledVoskModels,
+    uninstallVoskModel,
+    listVoskModels,
+    getVoskModel,
+} = require('./vosk-models');
+const { synthesizeWithPiper, loadTtsConfigs, reloadTtsConfigs, ttsConfigs } = require('./tts');
+const { FORMATS: TRANSCRIPT_FORMATS, formatTranscript } = require('./transcript');
+const { httpError, apiError, errorCode, requestId, errorHandler } = require('./errors');
+const { attachSttStream, STREAM_PATH } = require('./stt-stream');
+const { downloadFile, fileExists } = require('./download');
+const {
+    resolveMode: resolveProfanityMode,
+    filterTranscript,
+    addWords: addBadwords,
+    removeWords: removeBadwords,
+    listWords: listBadwords,
+} = require('./profanity');
+const { lookupTime, voiceForCountry, spokenTime } = require('./time');
+const { speechParams, synthesizeSpeech, streamSpeech, previewNormalization } = require('./speech');
+const { receiveAudio, billedSeconds, startUploadSweeper } = require('./uploads');
+const { listCached, cacheStats, purgeCached } = require('./tts-cache');
+const { openAiRouter } = require('./openai');
+const { getEngine, listEngines, ensureEngineReady, ensureFormat, engineOptions } = require('./engines');
+const { createJob, getJob, listJobs, cancelJob, jobResult, describeJob, restoreJobs } = require('./jobs');
+const { setStatus, isReady, listStatus, probeUrl } = require('./health');
+const { gauge, renderMetrics, httpRequests, httpDuration } = require('./metrics');
+const { queueDepth, poolStats } = require('./piper-pool');
+const {
+    authEnabled,
+    authorizeRequest,
+    requireApiKey,
+    requireAdmin,
+    checkCharacters,
+    recordCharacters,
+    checkAudioQuota,
+    recordAudioSeconds,
+    usageReport,
+    listUsage,
+    loadKeys,
+} = require('./auth');
+const {
+    MODELS_DIR,
+    VOICE_MODELS,
+    QUALITIES,
+    listVoices,
+    getVoice,
+    withDownloadSizes,
+    preinstallVoiceNames,
+    installVoice,
+    uninstallVoice,
+    verifyInstalledVoices,
+    getInstallStatus,
+    listInstallStatus,
+} = require('./voices');
 
 const app = express();
 const port = config.port;
 
 app.use(cors());
+app.use(requestId);
+
+// The route in the app's route table that would handle a request. Requests refused before they
+// reach their route (by the API key check or the rate limiter) are labelled with it all the same.
+function matchRoute(stack, method, urlPath, base = '') {
+    for (const layer of stack) {
+        if (!layer.match(urlPath)) continue;
+        if (layer.route) {
+            if (layer.route._handlesMethod(method)) return `${base}${layer.route.path}`;
+        } else if (layer.handle.stack) {
+            const mount = layer.path;
+            const found = matchRoute(layer.handle.stack, method, urlPath.slice(mount.length) || '/', `${base}${mount}`);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Request count and latency per route, recorded once the response is sent
+app.use((req, res, next) => {
+    const stopTimer = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        const urlPath = req.originalUrl.split('?')[0];
+        const route = req.route
+            ? `${req.baseUrl}${req.route.path}`
+            : matchRoute(app.router.stack, req.method, urlPath) || 'unmatched';
+        stopTimer({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+});
 
 // parse application/json
 app.use(bodyParser.json());
@@ -39,140 +116,72 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Ensure uploads directory exists
 fsnormal.ensureDirSync('uploads');
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname) || '.wav';
-    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`;
-    cb(null, filename);
-  }
-});
-
-const upload = multer({ storage });
-
-const PIPER_DIR = 'piper';
-const MODELS_DIR = path.join(PIPER_DIR, 'models');
-
-
-const MODEL_URL = `https://alphacephei.com/vosk/models/${config.vaskmodel}.zip`;
-const ZIP_PATH = `./model/${config.vaskmodel}.zip`;
-const EXTRACT_PATH = './model/';
-
-// Voice model download URLs (from Hugging Face)
-const VOICE_MODELS = require('./config/voice_dl.json');
-
-// Language mapping for TTS configs
-const LANGUAGE_MAP = {
-    'de_DE': 'German (Germany)',
-    'en_US': 'English (United States)',
-    'en_GB': 'English (United Kingdom)',
-    'es_ES': 'Spanish (Spain)',
-    'fr_FR': 'French (France)',
-    'sv_SE': 'Swedish (Sweden)',
-    'nl_NL': 'Dutch (Netherlands)',
-    'da_DK': 'Danish (Denmark)',
-    'it_IT': 'Italian (Italy)',
-    'ru_RU': 'Russian (Russia)',
-    'pt_BR': 'Portuguese (Brazil)',
-    'pl_PL': 'Polish (Poland)',
-};
-
-// Unzip the downloaded model into ./model/
-async function extractZip(zipPath, extractTo) {
-    const fszip = require('fs');
-    console.log(`Extracting ${zipPath} to ${extractTo}`);
-    await pipelineAsync(
-        fszip.createReadStream(zipPath),
-        unzipper.Extract({ path: extractTo })
-    );
-    console.log('Extraction complete.');
-}
-
-function createProgressRenderer(filename) {
-    const barWidth = 30;
-    let lastRenderMs = 0;
-    let lastPercent = -1;
-
-    return (received, total) => {
-        if (!process.stdout.isTTY || !total) return;
-        const now = Date.now();
-        const percent = received / total;
-        const percentage = Math.round(percent * 1000) / 10;
+// Probes stay open so orchestrators need no API key. So do metrics, unless metricsRequireKey puts
+// them behind the API keys (they name voices, engines and per-route traffic).
+const STARTED_AT = Date.now();
 
-        if (now - lastRenderMs < 100 && percentage !== 100 && percentage === lastPercent) return;
-
-        lastRenderMs = now;
-        lastPercent = percentage;
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - STARTED_AT) / 1000) });
+});
 
-        const filledBar = Math.floor(barWidth * percent);
-        const emptyBar = barWidth - filledBar;
-        const bar = '#'.repeat(filledBar) + '-'.repeat(emptyBar);
+app.get('/readyz', async (req, res) => {
+    const subsystems = listStatus();
+    const voices = {};
+    for (const voice of listVoices({ installed: true })) {
+        voices[voice.name] = ttsConfigs[voice.name] ? 'ready' : 'installed';
+    }
+    for (const name of preinstallVoiceNames()) {
+        if (voices[name]) continue;
+        const status = getInstallStatus(name);
+        voices[name] = status ? status.state : 'missing';
+    }
+    // Whisper backends are optional (Vosk is the fallback), so they are reported but do not gate readiness
+    const [primary, gradio] = await Promise.all([
+        probeUrl(config.whisperPrimaryUrl),
+        probeUrl(config.whisperApiUrl),
+    ]);
+    const ready = ['python', 'piper', 'vosk'].every(isReady)
+        && (!config.voice || voices[config.voice] === 'ready');
+    res.status(ready ? 200 : 503).json({
+        ready,
+        subsystems,
+        voices,
+        whisper: { primary, gradio },
+        sttProviders: providerStatus(),
+        voskModels: listVoskModels(),
+    });
+});
 
-        readline.clearLine(process.stdout, 0);
-        readline.cursorTo(process.stdout, 0);
-        process.stdout.write(`Downloading ${filename} [${bar}] ${percentage.toFixed(1)}% (${received}/${total} bytes)`);
-    };
-}
+app.get('/metrics', (req, res) => {
+    if (config.metricsRequireKey) authorizeRequest(req);
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-// Download file from URL to destination with progress bar
-async function downloadFile(url, dest, options = {}) {
-    await fs.mkdir(path.dirname(dest), { recursive: true });
-    const file = await fs.open(dest, 'w');
-    const stream = file.createWriteStream();
-    const filename = path.basename(dest);
-    const renderProgress = createProgressRenderer(filename);
-    const allow404 = options.allow404 === true;
+gauge('piper_queue_depth', 'Synthesis jobs waiting for a Piper worker', () => queueDepth());
+gauge('piper_workers', 'Running Piper workers by voice', () =>
+    Object.entries(poolStats()).map(([voice, stats]) => ({ labels: { voice }, value: stats.workers })));
+gauge('jobs', 'Background jobs by status', () => {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of listJobs()) counts[job.status] += 1;
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+gauge('stt_provider_circuit_open', 'STT providers whose circuit breaker is open (1) or not (0)', () =>
+    providerStatus().map((provider) => ({ labels: { provider: provider.name }, value: provider.circuit === 'open' ? 1 : 0 })));
+gauge('subsystem_ready', 'Startup subsystems that are ready (1) or not (0)', () =>
+    Object.entries(listStatus()).map(([name, status]) => ({ labels: { name }, value: status.state === 'ready' ? 1 : 0 })));
 
-    return new Promise((resolve, reject) => {
-        https.get(url, { headers: { 'User-Agent': 'Node.js' } }, (response) => {
-            if (response.statusCode === 404) {
-                if (allow404) {
-                    console.log(`Skipped missing file (404): ${filename}`);
-                    resolve({ skipped: true, url, dest });
-                    return;
-                }
-                reject(new Error(`Download skipped due to 404: ${url}`));
-                return;
-            }
-            if (response.statusCode !== 200) {
-                reject(new Error(`Failed to download ${url}: Status ${response.statusCode}`));
-                return;
-            }
+// OpenAI-compatible API; it checks keys itself so its errors keep the OpenAI shape
+app.use('/v1', openAiRouter());
 
-            const totalBytes = parseInt(response.headers['content-length'], 10);
-            let receivedBytes = 0;
-
-            response.on('data', (chunk) => {
-                receivedBytes += chunk.length;
-                renderProgress(receivedBytes, totalBytes);
-            });
-
-            response.on('end', () => {
-                if (process.stdout.isTTY) {
-                    process.stdout.write('\n');
-                } else {
-                    const totalLabel = totalBytes ? `${totalBytes}` : `${receivedBytes}`;
-                    console.log(`Downloaded ${filename} (${totalLabel} bytes)`);
-                }
-            });
-
-            pipelineAsync(response, stream)
-                .then(() => resolve({ skipped: false, url, dest }))
-                .catch((error) => reject(new Error(`Download error for ${url}: ${error.message}`)));
-        }).on('error', (error) => reject(new Error(`Download error for ${url}: ${error.message}`)));
-    });
-}
+// API keys and per-key limits; a no-op until keys are configured
+app.use(requireApiKey);
+app.use('/admin', requireAdmin);
 
-async function fileExists(filePath) {
-    try {
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-}
+// Portable Python that runs piper-tts (adjust for your structure)
+const PORTABLE_PYTHON_DIR = path.resolve(__dirname, 'python-portable');
+const PYTHON_EXE = os.platform() === 'win32'
+    ? path.join(PORTABLE_PYTHON_DIR, 'python.exe')
+    : path.join(PORTABLE_PYTHON_DIR, 'bin', 'python3');
 
 function delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
@@ -203,50 +212,39 @@ async function runCommand(cmd, args, options = {}) {
     });
 }
 
+// Install the default language's model (and config.voskPreinstall languages), then load the default
 async function ensureVoskModelDownloaded() {
-    const modelDir = path.join(EXTRACT_PATH, 'vosk-model-en-us-0.22');
-
-    try {
-        // Check if model already exists
-        await fs.access(modelDir);
-        console.log('Model already exists, skipping download.');
-        const model = await voskLoader();
-        await loadTtsConfigs()
-        return;
-    } catch {
-        // Directory does not exist — proceed with download and extraction
-    }
-
-    try {
-        // Download zip
-        await downloadFile(MODEL_URL, ZIP_PATH);
-
-        // Extract it
-        await extractZip(ZIP_PATH, EXTRACT_PATH);
-
-        // Optionally delete zip after extraction
-        await fs.unlink(ZIP_PATH);
-
-        console.log('Model is ready.');
-
-        const model = await voskLoader();
+    setStatus('vosk', 'pending', 'checking model');
+    // Incomplete model directories are removed here and downloaded again below
+    await verifyInstalledVoskModels().catch((err) => console.error(`Vosk model check failed: ${err.message}`));
+    const languages = [defaultVoskLanguage(), ...[].concat(config.voskPreinstall || [])];
 
-        await loadTtsConfigs()
-
-    } catch (err) {
-        console.error('Failed to set up Vosk model:', err.message);
+    for (const language of new Set(languages)) {
+        const isDefault = language === defaultVoskLanguage();
+        try {
+            const status = installVoskModel(language);
+            if (isDefault && status.state !== 'installed') setStatus('vosk', 'pending', 'downloading model');
+            await status.promise;
+            if (isDefault) {
+                const handle = await acquireVoskModel(language);
+                handle.release();
+                setStatus('vosk', 'ready', handle.name);
+            }
+        } catch (err) {
+            console.error(`Failed to set up Vosk model for ${language}:`, err.message);
+            if (isDefault) setStatus('vosk', 'failed', err.message);
+        }
     }
 }
 
 async function setupPiper() {
+    setStatus('python', 'pending');
+    setStatus('piper', 'pending');
+    setStatus('vosk', 'pending');
     try {
         const platform = os.platform();
-
-        // Define portable python path (adjust for your structure)
-        const portablePythonDir = path.resolve(__dirname, 'python-portable');
-        const pythonExe = platform === 'win32'
-            ? path.join(portablePythonDir, 'python.exe')
-            : path.join(portablePythonDir, 'bin', 'python3');
+        const portablePythonDir = PORTABLE_PYTHON_DIR;
+        const pythonExe = PYTHON_EXE;
 
         // Check if portable python exists
         const hasPortablePython = await fileExists(pythonExe);
@@ -288,7 +286,7 @@ async function setupPiper() {
                 throw new Error(`Unsupported platform: ${platform}`);
             }
         }
-
+        setStatus('python', 'ready', pythonExe);
 
         // Check if piper-tts installed
         let piperInstalled = false;
@@ -307,134 +305,443 @@ async function setupPiper() {
             throw new Error('Failed to install piper-tts');
         }
         logger.info('piper-tts is installed.');
+        await loadTtsConfigs();
+        setStatus('piper', 'ready');
 
         // Ensure models directory
         await fs.mkdir(MODELS_DIR, { recursive: true });
 
-        // Download voice models if missing
-        for (const model of VOICE_MODELS) {
-            const onnxPath = path.join(MODELS_DIR, `${model.name}.onnx`);
-            const jsonPath = path.join(MODELS_DIR, `${model.name}.onnx.json`);
+        // Re-fetch anything a previous run left truncated or corrupt
+        await verifyInstalledVoices({ pythonPath: pythonExe });
 
-            if (!(await fileExists(onnxPath))) {
-                await downloadFile(model.onnx, onnxPath, { allow404: true });
+        // Download the preinstall allowlist; other voices are installed on demand
+        for (const name of preinstallVoiceNames()) {
+            if (!VOICE_MODELS.some((model) => model.name === name)) {
+                logger.warn(`Skipping unknown preinstall voice: ${name}`);
+                continue;
             }
-            if (!(await fileExists(jsonPath))) {
-                await downloadFile(model.json, jsonPath, { allow404: true });
+            try {
+                await installVoice(name, { pythonPath: pythonExe }).promise;
+            } catch (err) {
+                logger.warn(`Could not preinstall voice ${name}: ${err.message}`);
             }
         }
 
-        // Generate TTS config files for each voice model
-        await fs.mkdir('tts_configs', { recursive: true });
-        for (const model of VOICE_MODELS) {
-            const configPath = path.join('tts_configs', `${model.name}.json`);
-            const langCode = model.name.split('-')[0];
-            const provider = langCode.toLowerCase() + '_' + model.name.split('-')[1].split('-')[0];
-            const config = {
-                provider: provider,
-                voice: model.name,
-                language: LANGUAGE_MAP[langCode] || 'Unknown Language',
-                pythonPath: pythonExe,
-                modelPath: path.join(MODELS_DIR, `${model.name}.onnx`),
-                configPath: path.join(MODELS_DIR, `${model.name}.onnx.json`),
-            };
-            await fs.writeFile(configPath, JSON.stringify(config, null, 2));
-            readline.clearLine(process.stdout, 0); readline.cursorTo(process.stdout, 0); process.stdout.write(`Generated TTS config: ${model.name}.json\r`);
-        }
-
         logger.info('Piper Python setup complete.');
-        await ensureVoskModelDownloaded();
     } catch (error) {
         readline.clearLine(process.stdout, 0);
         readline.cursorTo(process.stdout, 0);
-        process.stdout.write(`Error setting up Piper TTS: ${error.message}\r`);
-        process.exit(1);
+        process.stdout.write(`Error setting up Piper TTS: ${error.message}\n`);
+        // Keep serving so /readyz can report what failed; dependent routes answer 503
+        if (!isReady('python')) setStatus('python', 'failed', error.message);
+        if (!isReady('piper')) setStatus('piper', 'failed', isReady('python') ? error.message : 'Python is unavailable');
     }
+
+    // Vosk does not depend on Piper, so it is set up either way
+    await ensureVoskModelDownloaded();
 }
 
-app.post('/stt', upload.single('audio'), async (req, res) => {
-    if (!req.file || !req.file.path) {
-        res.status(400).json({ error: 'Missing audio file upload' });
+app.post('/stt', receiveAudio('audio'), async (req, res) => {
+    if (!req.file || !req.file.path) throw apiError('MISSING_AUDIO', 'Missing audio file upload');
+    const filePath = req.file.path;
+    const ready = await waitForFile(filePath);
+    if (!ready) throw apiError('MISSING_AUDIO', 'Upload not completed or file missing');
+    const engine = String(req.body.engine || config.sttEngine || 'vosk').toLowerCase();
+    const format = String(req.body.format || 'json').toLowerCase();
+    if (!TRANSCRIPT_FORMATS.includes(format)) throw httpError(400, `Unknown transcript format: ${format}`);
+    // Only the detected speech regions, without transcribing anything
+    if (String(req.body.speechOnly) === 'true') {
+        const analysis = await analyzeSpeech(filePath);
+        res.json(analysis);
         return;
     }
-    const filePath = req.file.path;
-    try {
-        const ready = await waitForFile(filePath);
-        if (!ready) {
-            res.status(400).json({ error: 'Upload not completed or file missing' });
-            return;
-        }
-        const engineRaw = req.body.engine || config.sttEngine || 'vosk';
-        const engine = String(engineRaw).toLowerCase();
-        const device = String(req.body.device || config.whisperDevice || 'cpu').toLowerCase();
-        const modelRaw = req.body.model || config.whisperModel || 'base';
-
-        let text = '';
-        let responseModel = null;
-        if (engine === 'whisper') {
-            const modelName = normalizeWhisperModel(modelRaw);
-            text = await transcribeWithWhisperWithFallback(filePath, { model: modelName, device });
-            responseModel = modelName;
-        } else if (engine === 'vosk') {
-            text = await transcribeWithVosk(filePath);
-            responseModel = config.vaskmodel || null;
-        } else if (engine === 'both') {
-            const modelName = normalizeWhisperModel(modelRaw);
-            const [whisperText, voskText] = await Promise.all([
-                transcribeWithWhisperWithFallback(filePath, { model: modelName, device }),
-                transcribeWithVosk(filePath),
-            ]);
-            await fsnormal.remove(filePath);
-            res.json({
-                transcript: whisperText || voskText || '',
-                transcripts: {
-                    whisper: whisperText,
-                    vosk: voskText,
-                },
-                engine,
-                device,
-                models: {
-                    whisper: modelName,
-                    vosk: config.vaskmodel || null,
-                },
-            });
-            return;
-        } else {
-            res.status(400).json({ error: `Unknown STT engine: ${engine}` });
+    const profanityMode = resolveProfanityMode(req.body.profanity);
+    // Split long recordings on pauses and transcribe the pieces in parallel
+    const useVad = vadRequested(req.body.vad);
+    const run = (sttEngine, options) => (useVad
+        ? transcribeInChunks(filePath, sttEngine.transcribe, options)
+        : sttEngine.transcribe(filePath, options));
+    // Picks the Vosk model; Whisper backends get it as a hint
+    const language = req.body.language ? String(req.body.language) : undefined;
+    // Work stops when the client disconnects; the upload is removed either way
+    const signal = req.uploadSignal;
+    // Engine options are checked before any quota is charged
+    const prepare = (name) => {
+        const sttEngine = getEngine('stt', name);
+        ensureFormat(sttEngine, req.file.audioType, { input: true });
+        return { sttEngine, options: engineOptions(sttEngine, req.body, { language, signal }) };
+    };
+
+    // "both" runs Whisper and Vosk side by side and reports the two transcripts
+    if (engine === 'both') {
+        const whisper = prepare('whisper');
+        const vosk = prepare('vosk');
+        checkAudioQuota(req);
+        const [whisperRaw, voskRaw] = await Promise.all([
+            run(whisper.sttEngine, whisper.options),
+            run(vosk.sttEngine, vosk.options),
+        ]);
+        recordAudioSeconds(req, billedSeconds(req.file, whisperRaw, voskRaw));
+        const whisperResult = filterTranscript(whisperRaw, profanityMode);
+        const voskResult = filterTranscript(voskRaw, profanityMode);
+        const primary = whisperResult.text ? whisperResult : voskResult;
+        if (format !== 'json') {
+            const { contentType, body } = formatTranscript(primary, format);
+            res.set('X-STT-Provider', whisperResult.text ? whisperRaw.provider : 'vosk');
+            res.type(contentType).send(body);
             return;
         }
-        await fsnormal.remove(filePath);
         res.json({
-            transcript: text,
+            transcript: primary.text,
+            transcripts: {
+                whisper: whisperResult.text,
+                vosk: voskResult.text,
+            },
+            segments: {
+                whisper: whisperResult.segments,
+                vosk: voskResult.segments,
+            },
             engine,
-            device: engine === 'whisper' ? device : 'cpu',
-            model: responseModel,
+            device: whisper.options.device,
+            models: {
+                whisper: whisper.options.model,
+                vosk: voskRaw.model,
+            },
+            language: voskRaw.language,
+            providers: {
+                whisper: whisperRaw.provider,
+                vosk: 'vosk',
+            },
+            providerErrors: whisperRaw.providerErrors,
+            ...(useVad ? { chunks: voskRaw.chunks } : {}),
         });
-    } catch (err) {
-        console.error(err);
-        res.status(500).send('STT error');
+        return;
     }
+
+    const { sttEngine, options } = prepare(engine);
+    checkAudioQuota(req);
+    let transcript = await run(sttEngine, options);
+    recordAudioSeconds(req, billedSeconds(req.file, transcript));
+    const provider = transcript.provider || engine;
+    const providerErrors = transcript.providerErrors || [];
+    transcript = filterTranscript(transcript, profanityMode);
+    if (format !== 'json') {
+        const { contentType, body } = formatTranscript(transcript, format);
+        res.set('X-STT-Provider', provider);
+        res.type(contentType).send(body);
+        return;
+    }
+    res.json({
+        transcript: transcript.text,
+        segments: transcript.segments,
+        engine,
+        device: options.device || 'cpu',
+        model: transcript.model || options.model || null,
+        language: transcript.language || language || null,
+        provider,
+        providerErrors,
+        ...(useVad ? { chunks: transcript.chunks } : {}),
+    });
 });
 
 app.post('/tts', async (req, res) => {
-    const { text, voice } = req.body;
-    if (!text || !voice) return res.status(400).json({ error: 'Missing text or voice' });
+    const characters = String(req.body.text || '').length;
+    checkCharacters(req, characters);
+    if (String(req.body.stream) === 'true') {
+        // Chunked response: playback can start while later sentences are still rendering
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        const speech = await streamSpeech(req.body, { signal: controller.signal });
+        recordCharacters(req, characters);
+        res.on('close', () => speech.cancel());
+        res.set(speech.headers);
+        res.type(speech.contentType);
+        speech.stream.on('error', (err) => {
+            console.error(`TTS stream failed: ${err.message}`);
+            res.destroy(err);
+        });
+        speech.stream.pipe(res);
+        return;
+    }
+    const speech = await synthesizeSpeech(req.body);
+    recordCharacters(req, characters);
+    res.set(speech.headers);
+    res.type(speech.contentType);
+    res.sendFile(path.resolve(speech.path), () => speech.cleanup());
+});
 
+// Shows the text Piper would speak after normalization, without synthesizing
+app.post('/tts/normalize', (req, res) => {
+    res.json(previewNormalization(req.body));
+});
+
+// Long transcriptions run in the background; the job keeps the upload until it finishes
+app.post('/jobs/stt', receiveAudio('audio'), async (req, res) => {
+    if (!req.file || !req.file.path) throw apiError('MISSING_AUDIO', 'Missing audio file upload');
+    const sttEngine = getEngine('stt', req.body.engine);
+    ensureFormat(sttEngine, req.file.audioType, { input: true });
+    const language = req.body.language ? String(req.body.language) : undefined;
+    // Stored with the job, so only plain values: the engine's options plus the shared fields
+    const params = {
+        engine: sttEngine.name,
+        ...engineOptions(sttEngine, req.body, { language }),
+        profanity: resolveProfanityMode(req.body.profanity),
+        vad: vadRequested(req.body.vad),
+    };
+    checkAudioQuota(req);
+    ensureEngineReady(sttEngine);
+    const job = await createJob('stt', params, {
+        input: req.file.path,
+        inputDuration: req.file.duration,
+        webhook: req.body.webhook,
+        owner: req.apiClient?.name,
+    });
+    res.status(202).location(`/jobs/${job.id}`).json(describeJob(job));
+});
+
+app.post('/jobs/tts', async (req, res) => {
+    // Jobs always produce one file, so a stream flag is dropped
+    const { webhook, stream, ...body } = req.body;
+    if (!body.text || !body.voice) throw httpError(400, 'Missing text or voice');
+    // Validate now so bad parameters fail the request rather than the job
+    const params = speechParams(body);
+    resolveProfanityMode(body.profanity);
+    checkCharacters(req, String(body.text).length);
+    ensureEngineReady(getEngine('tts', params.engine));
+    const job = await createJob('tts', body, { webhook, owner: req.apiClient?.name });
+    res.status(202).location(`/jobs/${job.id}`).json(describeJob(job));
+});
+
+app.get('/jobs', (req, res) => {
+    res.json({ jobs: listJobs(req.apiClient).map(describeJob) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    res.json(describeJob(getJob(req.params.id, req.apiClient)));
+});
+
+app.get('/jobs/:id/result', async (req, res) => {
+    const result = jobResult(req.params.id, req.apiClient);
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (result.job.type === 'stt' && format !== 'json') {
+        if (!TRANSCRIPT_FORMATS.includes(format)) throw httpError(400, `Unknown transcript format: ${format}`);
+        const { transcript: text, segments } = JSON.parse(await fs.readFile(result.path, 'utf-8'));
+        const { contentType, body } = formatTranscript({ text, segments }, format);
+        res.type(contentType).send(body);
+        return;
+    }
+    res.set(result.headers);
+    res.type(result.contentType);
+    res.sendFile(path.resolve(result.path));
+});
+
+app.delete('/jobs/:id', async (req, res) => {
+    res.json(await cancelJob(req.params.id, req.apiClient));
+});
+
+// Registered STT and TTS engines with their capabilities, options and health; ?type=stt|tts filters
+app.get('/engines', (req, res) => {
+    const type = req.query.type ? String(req.query.type).toLowerCase() : null;
+    if (type && !['stt', 'tts'].includes(type)) throw httpError(400, `Unknown engine type: ${req.query.type} (expected stt or tts)`);
+    res.json({ engines: listEngines(type) });
+});
+
+app.get('/voices', async (req, res) => {
+    const { locale, language, quality, installed } = req.query;
+    if (quality && !QUALITIES.includes(String(quality).toLowerCase())) {
+        throw httpError(400, `Unknown quality: ${quality} (expected one of ${QUALITIES.join(', ')})`);
+    }
+    const voices = await withDownloadSizes(listVoices({ locale, language, quality, installed }));
+    res.json({ count: voices.length, voices });
+});
+
+app.get('/voices/:name', async (req, res) => {
+    const voice = getVoice(req.params.name);
+    if (!voice) throw apiError('VOICE_NOT_FOUND', `Unknown voice: ${req.params.name}`);
+    res.json(await withDownloadSizes(voice));
+});
+
+app.get('/time', async (req, res) => {
+    const query = { country: req.query.country || req.query.q, zone: req.query.zone };
+    const now = new Date();
+    const results = lookupTime(query, now);
+    const primary = results[0];
+    if (String(req.query.speak) !== 'true') {
+        res.json({ ...primary, ...(results.length > 1 ? { zones: results } : {}) });
+        return;
+    }
+
+    const voice = req.query.voice ? getVoice(req.query.voice) : voiceForCountry(primary.countryCode);
+    if (!voice || !voice.installed) throw apiError('VOICE_NOT_FOUND', 'No installed voice available to speak the time');
+    const text = spokenTime(primary, voice, now);
+    checkCharacters(req, text.length);
+    const wavPath = await synthesizeWithPiper(text, voice.name);
+    recordCharacters(req, text.length);
+    res.set('X-Spoken-Text', encodeURIComponent(text));
+    res.set('X-Voice', voice.name);
+    res.sendFile(path.resolve(wavPath), () => fsnormal.remove(wavPath));
+});
+
+app.get('/usage', (req, res) => {
+    if (!req.apiClient) {
+        res.json({ auth: false });
+        return;
+    }
+    res.json(usageReport(req.apiClient));
+});
+
+app.get('/admin/usage', (req, res) => {
+    res.json({ auth: authEnabled(), keys: listUsage() });
+});
+
+app.get('/admin/voices/installs', (req, res) => {
+    res.json({ installs: listInstallStatus() });
+});
+
+app.get('/admin/voices/:name/status', (req, res) => {
+    const status = getInstallStatus(req.params.name);
+    if (!status) throw apiError('VOICE_NOT_FOUND', `Unknown voice: ${req.params.name}`);
+    res.json(status);
+});
+
+app.post('/admin/voices/:name/install', (req, res) => {
+    const existing = getVoice(req.params.name);
+    if (existing && existing.installed) {
+        res.json(getInstallStatus(req.params.name));
+        return;
+    }
+    installVoice(req.params.name, { pythonPath: PYTHON_EXE });
+    res.status(202).json(getInstallStatus(req.params.name));
+});
+
+app.delete('/admin/voices/:name', async (req, res) => {
+    res.json(await uninstallVoice(req.params.name));
+});
+
+app.get('/admin/vosk-models', (req, res) => {
+    res.json({ default: defaultVoskLanguage(), models: listVoskModels() });
+});
+
+app.get('/admin/vosk-models/:language', (req, res) => {
+    res.json(getVoskModel(req.params.language));
+});
+
+app.post('/admin/vosk-models/:language/install', (req, res) => {
+    const { promise, ...status } = installVoskModel(req.params.language);
+    res.status(status.state === 'installed' ? 200 : 202).json(status);
+});
+
+app.delete('/admin/vosk-models/:language', async (req, res) => {
+    res.json(await uninstallVoskModel(req.params.language));
+});
+
+app.get('/admin/badwords', (req, res) => {
+    res.json({ words: listBadwords() });
+});
+
+app.post('/admin/badwords', (req, res) => {
+    const words = req.body.words ?? req.body.word;
+    if (!words || (Array.isArray(words) && !words.length)) throw httpError(400, 'Missing words');
+    res.json({ added: addBadwords(words) });
+});
+
+app.delete('/admin/badwords', (req, res) => {
+    const words = req.body.words ?? req.body.word;
+    if (!words || (Array.isArray(words) && !words.length)) throw httpError(400, 'Missing words');
+    res.json({ removed: removeBadwords(words) });
+});
+
+app.get('/admin/tts-cache', async (req, res) => {
+    res.json({ ...(await cacheStats()), items: await listCached() });
+});
+
+app.delete('/admin/tts-cache', async (req, res) => {
+    res.json({ purged: await purgeCached() });
+});
+
+app.delete('/admin/tts-cache/:key', async (req, res) => {
+    const purged = await purgeCached(req.params.key);
+    if (!purged) throw httpError(404, `No cache entry: ${req.params.key}`);
+    res.json({ purged });
+});
+
+// Pre-render a list of phrases; all other fields are the usual /tts options
+app.post('/admin/tts-cache/warm', async (req, res) => {
+    const { phrases, ...options } = req.body;
+    if (!Array.isArray(phrases) || !phrases.length) throw httpError(400, 'Missing phrases');
+    if (!(await cacheStats()).enabled) throw httpError(409, 'The TTS cache is disabled');
+    const results = [];
+    for (const text of phrases) {
+        try {
+            const speech = await synthesizeSpeech({ ...options, text, cache: true });
+            await speech.cleanup();
+            results.push({ text, key: speech.key, cache: speech.headers['X-Cache'] });
+        } catch (err) {
+            results.push({ text, code: errorCode(err), error: err.message });
+        }
+    }
+    res.json({
+        warmed: results.filter((r) => r.cache === 'MISS').length,
+        cached: results.filter((r) => r.cache === 'HIT').length,
+        failed: results.filter((r) => r.error).length,
+        results,
+    });
+});
+
+// Re-read config.json (with APP_* overrides), API keys and tts_configs/ without a restart.
+// Requests already running finish on the settings they started with.
+async function reloadSettings() {
+    const { changed, restartRequired, warnings } = reloadConfig();
+    loadKeys();
+    const voices = await reloadTtsConfigs();
+    warnings.forEach((warning) => console.warn(warning));
+    if (restartRequired.length) {
+        console.warn(`Config reloaded; restart to apply: ${restartRequired.join(', ')}`);
+    }
+    return { config: { changed, restartRequired, warnings }, voices };
+}
+
+app.post('/admin/reload', async (req, res) => {
     try {
-        const wavPath = await synthesizeWithPiper(text, voice);
-        console.log(wavPath)
-        res.sendFile(path.resolve(wavPath), () => fsnormal.remove(wavPath));
+        res.json(await reloadSettings());
     } catch (err) {
-        console.error(err);
-        res.status(500).send('TTS error');
+        // an invalid config is rejected and the running one kept
+        if (!err.problems) throw err;
+        const invalid = apiError('INVALID_CONFIG', err.message);
+        invalid.details = { problems: err.problems };
+        throw invalid;
     }
 });
 
-app.listen(port, () => {
+process.on('SIGHUP', () => {
+    reloadSettings()
+        .then(({ config: result, voices }) => {
+            console.log(`🔄 Reloaded config (changed: ${result.changed.join(', ') || 'none'}), voices +${voices.added.length} ~${voices.changed.length} -${voices.removed.length}`);
+        })
+        .catch((err) => console.error(`Reload failed, keeping the current config: ${err.message}`));
+});
+
+// Anything no route answered, and every error a route threw, gets the JSON error shape
+app.use((req, res) => {
+    throw apiError('NOT_FOUND', `Unknown endpoint: ${req.method} ${req.path}`);
+});
+app.use(errorHandler);
+
+const server = app.listen(port, () => {
     setupPiper();
+    // Jobs on disk are listed right away; queued ones wait for their engine to finish starting
+    restoreJobs()
+        .then((restored) => {
+            if (restored) logger.info(`Restored ${restored} job(s) from disk.`);
+        })
+        .catch((err) => logger.error(`Could not restore jobs: ${err.message}`));
+    startUploadSweeper();
     console.log(`🟢 Server running at http://localhost:${port}`);
+    console.log(`🟢 Streaming STT at ws://localhost:${port}${STREAM_PATH}`);
 });
 
+attachSttStream(server);
+
 // ———————————————[Error Handling]———————————————
 process.on("unhandledRejection", (reason, p) => {
     if (
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const { httpError } = require('./errors');
+const { getEngine, ensureFormat, ensureCapability, engineOptions } = require('./engines');
+const { resolveMode, filterText, listWords } = require('./profanity');
+const { parseSynthesisParams, convertSpeech, synthesisHeaders } = require('./tts-output');
+const { isSsml, renderSsml } = require('./ssml');
+const { cacheKey, isEnabled: cacheEnabled, getCached, putCached } = require('./tts-cache');
+const { ttsCacheLookups } = require('./metrics');
+const { normalizeForSpeech, voiceLocale, isSupported } = require('./text-normalize');
+const { parseLongformParams, renderLongform, openLongformStream } = require('./tts-longform');
+
+// Request body -> synthesis params; SSML keeps its own structure, so long-form mode only
+// applies to plain text. params.engine names the TTS engine, params.options holds its own options.
+function speechParams(body) {
+  const engine = getEngine('tts', body.engine);
+  const params = {
+    ...parseSynthesisParams(body),
+    ssml: String(body.ssml) === 'true',
+    longform: parseLongformParams(body),
+    engine: engine.name,
+    options: engineOptions(engine, body),
+  };
+  ensureFormat(engine, params.format);
+  if (isSsml(body.text) || params.ssml) ensureCapability(engine, 'ssml', 'SSML');
+  if (params.longform && params.longform.stream) ensureCapability(engine, 'streaming', 'streamed output');
+  if (params.longform && (isSsml(body.text) || params.ssml)) {
+    if (params.longform.stream || String(body.longform) === 'true') {
+      throw httpError(400, 'Long-form and streamed synthesis take plain text, not SSML');
+    }
+    params.longform = null;
+  }
+  return params;
+}
+
+// Synthesize and convert a /tts request; returns { path, contentType, headers, cleanup }.
+// options: { signal, onProgress } for long-form rendering
+async function renderSpeech(text, voice, params, profanityMode, options = {}) {
+  let wavPath;
+  if (isSsml(text) || params.ssml) {
+    const ssml = isSsml(text) ? String(text) : `<speak>${text}</speak>`;
+    wavPath = await renderSsml(ssml, voice, params, {
+      transformText: (segment) => filterText(segment, profanityMode).text,
+    });
+  } else {
+    const filtered = filterText(text, profanityMode);
+    if (!filtered.text.trim()) throw httpError(400, 'Text is empty after profanity filtering');
+    wavPath = params.longform
+      ? await renderLongform(filtered.text, voice, params, options)
+      : await getEngine('tts', params.engine).synthesize(filtered.text, voice, params);
+  }
+
+  let output;
+  try {
+    output = await convertSpeech(wavPath, params);
+  } catch (err) {
+    await fs.remove(wavPath);
+    throw err;
+  }
+  return {
+    path: output.path,
+    contentType: output.contentType,
+    headers: synthesisHeaders(voice, params, output),
+    cleanup: async () => {
+      await fs.remove(wavPath);
+      if (output.path !== wavPath) await fs.remove(output.path);
+    },
+  };
+}
+
+// Full /tts pipeline with the on-disk cache in front; body is the request body.
+// Cached results have a no-op cleanup since the file belongs to the cache.
+async function synthesizeSpeech(body = {}, options = {}) {
+  const { text, voice } = body;
+  if (!text || !voice) throw httpError(400, 'Missing text or voice');
+
+  const profanityMode = resolveMode(body.profanity);
+  const params = speechParams(body);
+  const useCache = cacheEnabled() && String(body.cache) !== 'false';
+  const key = cacheKey({
+    text,
+    voice,
+    params,
+    ssml: isSsml(text) || params.ssml,
+    // a changed word list changes the filtered audio
+    profanity: profanityMode === 'off' ? 'off' : { mode: profanityMode, words: listWords() },
+  });
+
+  if (useCache) {
+    const cached = await getCached(key);
+    ttsCacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+    if (cached) {
+      return {
+        path: cached.path,
+        contentType: cached.contentType,
+        headers: { ...cached.headers, 'X-Cache': 'HIT' },
+        key,
+        cleanup: async () => {},
+      };
+    }
+  }
+
+  const rendered = await renderSpeech(text, voice, params, profanityMode, options);
+  const headers = { ...rendered.headers, 'X-Cache': 'MISS' };
+  if (!useCache) return { ...rendered, headers, key };
+
+  try {
+    const entry = await putCached(key, rendered.path, {
+      contentType: rendered.contentType,
+      headers: rendered.headers,
+      voice,
+      text,
+    });
+    // Evicted straight away (larger than the whole cache): serve the temporary file instead
+    if (!entry) return { ...rendered, headers, key };
+    await rendered.cleanup();
+    return { path: entry.path, contentType: entry.contentType, headers, key, cleanup: async () => {} };
+  } catch (err) {
+    await rendered.cleanup();
+    throw err;
+  }
+}
+
+// /tts with stream=true: audio is sent segment by segment while the rest renders, bypassing the
+// cache. Returns { stream, contentType, headers, cancel } once the first segment is ready.
+async function streamSpeech(body = {}, options = {}) {
+  const { text, voice } = body;
+  if (!text || !voice) throw httpError(400, 'Missing text or voice');
+
+  const params = speechParams({ ...body, stream: 'true' });
+  const filtered = filterText(text, resolveMode(body.profanity));
+  if (!filtered.text.trim()) throw httpError(400, 'Text is empty after profanity filtering');
+  return openLongformStream(filtered.text, voice, params, options);
+}
+
+// Dry run of the text pipeline for /tts/normalize: what Piper would be given for body.text.
+// The locale comes from the voice, else body.locale, else the default voice.
+function previewNormalization(body = {}) {
+  const { text } = body;
+  if (!text) throw httpError(400, 'Missing text');
+  const params = parseSynthesisParams(body);
+  const locale = body.voice ? voiceLocale(body.voice) : String(body.locale || voiceLocale());
+  const filtered = filterText(text, resolveMode(body.profanity));
+  return {
+    locale,
+    supported: isSupported(locale),
+    text,
+    normalized: normalizeForSpeech(filtered.text, locale, params),
+  };
+}
+
+module.exports = { speechParams, synthesizeSpeech, streamSpeech, previewNormalization };
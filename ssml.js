@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const { randomUUID } = require('crypto');
+const { httpError } = require('./errors');
+const { getEngine } = require('./engines');
+const { decodeAudioFile, encodeWav } = require('./audio');
+
+// Supported subset: speak, break, prosody rate, say-as, voice name, sub, plus p/s as plain containers
+const SUPPORTED_TAGS = ['speak', 'break', 'prosody', 'say-as', 'voice', 'sub', 'p', 's'];
+
+const BREAK_STRENGTHS = {
+  none: 0,
+  'x-weak': 100,
+  weak: 250,
+  medium: 500,
+  strong: 750,
+  'x-strong': 1000,
+};
+
+const RATE_KEYWORDS = {
+  'x-slow': 0.6,
+  slow: 0.8,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  'x-fast': 1.5,
+};
+
+const MAX_BREAK_MS = 10000;
+
+function isSsml(text) {
+  return /^\s*<speak[\s>]/i.test(String(text || ''));
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(raw) {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(raw))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function parseBreak(attributes) {
+  if (attributes.time) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i.exec(attributes.time);
+    if (!match) throw httpError(400, `Invalid SSML break time: ${attributes.time}`);
+    const ms = parseFloat(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1);
+    return Math.min(ms, MAX_BREAK_MS);
+  }
+  const strength = (attributes.strength || 'medium').toLowerCase();
+  if (!(strength in BREAK_STRENGTHS)) throw httpError(400, `Invalid SSML break strength: ${strength}`);
+  return BREAK_STRENGTHS[strength];
+}
+
+// Speed factor from a prosody rate: keyword, percentage ("120%") or plain multiplier
+function parseRate(rate) {
+  const value = String(rate).trim().toLowerCase();
+  if (value in RATE_KEYWORDS) return RATE_KEYWORDS[value];
+  const percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+  const factor = percent ? parseFloat(percent[1]) / 100 : parseFloat(value);
+  if (!Number.isFinite(factor) || factor < 0.2 || factor > 5) {
+    throw httpError(400, `Invalid SSML prosody rate: ${rate}`);
+  }
+  return factor;
+}
+
+function formatDate(text, format, locale) {
+  const digits = text.split(/[^\d]+/).filter(Boolean).map(Number);
+  if (digits.length !== 3) return text;
+  const order = (format || 'ymd').toLowerCase();
+  const fields = {};
+  [...order].forEach((key, i) => (fields[key] = digits[i]));
+  if (!fields.y || !fields.m || !fields.d) return text;
+  const year = fields.y < 100 ? 2000 + fields.y : fields.y;
+  const date = new Date(Date.UTC(year, fields.m - 1, fields.d));
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== fields.m - 1) return text;
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+function interpret(text, sayAs, locale) {
+  if (!sayAs) return text;
+  const kind = (sayAs['interpret-as'] || '').toLowerCase();
+  if (kind === 'characters' || kind === 'spell-out') {
+    return [...text.replace(/\s+/g, '')].join(' ');
+  }
+  if (kind === 'digits') {
+    return text.replace(/\d/g, (d) => ` ${d} `).replace(/\s+/g, ' ').trim();
+  }
+  if (kind === 'date') {
+    return formatDate(text.trim(), sayAs.format, locale);
+  }
+  throw httpError(400, `Unsupported SSML say-as interpret-as: ${kind || '(missing)'}`);
+}
+
+function voiceLocale(voice) {
+  return String(voice || 'en_US').split('-')[0].replace('_', '-');
+}
+
+// Flatten SSML into text and break parts; each text part carries its voice and speed factor
+function parseSsml(ssml, defaultVoice) {
+  const parts = [];
+  const stack = [{ tag: null, voice: defaultVoice, rate: 1, sayAs: null, alias: null }];
+  const pattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g;
+  let cursor = 0;
+  let match;
+
+  const pushText = (raw) => {
+    const context = stack[stack.length - 1];
+    if (context.alias !== null) return;
+    const text = interpret(decodeEntities(raw), context.sayAs, voiceLocale(context.voice));
+    if (!text.trim()) return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === 'text' && last.voice === context.voice && last.rate === context.rate) {
+      last.text += text;
+    } else {
+      parts.push({ type: 'text', text, voice: context.voice, rate: context.rate });
+    }
+  };
+
+  while ((match = pattern.exec(ssml))) {
+    pushText(ssml.slice(cursor, match.index));
+    cursor = pattern.lastIndex;
+    if (!match[2]) continue; // comment or processing instruction
+
+    const [, closing, rawTag, rawAttributes, selfClosing] = match;
+    const tag = rawTag.toLowerCase();
+    if (!SUPPORTED_TAGS.includes(tag)) throw httpError(400, `Unsupported SSML tag: <${rawTag}>`);
+
+    if (closing) {
+      const context = stack.pop();
+      if (!context || context.tag !== tag) throw httpError(400, `Mismatched SSML closing tag: </${rawTag}>`);
+      if (tag === 'sub' && context.alias !== null) {
+        const parent = stack[stack.length - 1];
+        parts.push({ type: 'text', text: context.alias, voice: parent.voice, rate: parent.rate });
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(rawAttributes);
+    if (tag === 'break') {
+      parts.push({ type: 'break', ms: parseBreak(attributes) });
+      continue;
+    }
+    if (selfClosing) continue;
+
+    const parent = stack[stack.length - 1];
+    const context = { ...parent, tag, alias: null };
+    if (tag === 'voice') {
+      if (!attributes.name) throw httpError(400, 'SSML <voice> requires a name attribute');
+      context.voice = attributes.name;
+    } else if (tag === 'prosody' && attributes.rate) {
+      context.rate = parent.rate * parseRate(attributes.rate);
+    } else if (tag === 'say-as') {
+      context.sayAs = attributes;
+    } else if (tag === 'sub') {
+      if (attributes.alias === undefined) throw httpError(400, 'SSML <sub> requires an alias attribute');
+      context.alias = attributes.alias;
+    }
+    stack.push(context);
+  }
+  pushText(ssml.slice(cursor));
+
+  if (stack.length !== 1) throw httpError(400, `Unclosed SSML tag: <${stack[stack.length - 1].tag}>`);
+  // Tidy up whitespace left over from the markup
+  for (const part of parts) {
+    if (part.type === 'text') part.text = part.text.replace(/\s+/g, ' ').trim();
+  }
+  return parts.filter((part) => part.type === 'break' || part.text);
+}
+
+// Render each SSML part with its own voice and speed, then stitch them into one WAV
+async function renderSsml(ssml, voice, params = {}, options = {}) {
+  const parts = parseSsml(ssml, voice);
+  const transform = options.transformText || ((text) => text);
+  const baseLengthScale = params.piper?.length_scale ?? 1;
+
+  for (const part of parts) {
+    if (part.type === 'text') part.text = transform(part.text);
+  }
+  const textParts = parts.filter((part) => part.type === 'text' && part.text.trim());
+  if (!textParts.length) throw httpError(400, 'SSML contains no text to speak');
+
+  const rendered = new Map();
+  try {
+    // every synthesis is waited for, even after one fails, so none of their WAVs outlives the cleanup
+    const outcomes = await Promise.allSettled(textParts.map(async (part) => {
+      const wavPath = await getEngine('tts', params.engine).synthesize(part.text, part.voice, {
+        // the default voice keeps the requested speaker; other voices use their own default
+        speaker: part.voice === voice ? params.speaker : null,
+        piper: { ...(params.piper || {}), length_scale: baseLengthScale / part.rate },
+        normalize: params.normalize,
+        emoji: params.emoji,
+      });
+      rendered.set(part, wavPath);
+    }));
+    const failed = outcomes.find((outcome) => outcome.status === 'rejected');
+    if (failed) throw failed.reason;
+
+    const decoded = new Map();
+    let sampleRate = null;
+    for (const part of textParts) {
+      const audio = await decodeAudioFile(rendered.get(part), sampleRate);
+      sampleRate = audio.sampleRate;
+      decoded.set(part, audio.pcm);
+    }
+
+    const chunks = [];
+    for (const part of parts) {
+      if (part.type === 'break') {
+        chunks.push(Buffer.alloc(Math.round((part.ms / 1000) * sampleRate) * 2));
+      } else if (decoded.has(part)) {
+        chunks.push(decoded.get(part));
+      }
+    }
+
+    const outputWav = `uploads/${randomUUID()}.wav`;
+    await fs.writeFile(outputWav, encodeWav(Buffer.concat(chunks), sampleRate));
+    return outputWav;
+  } finally {
+    await Promise.all([...rendered.values()].map((wavPath) => fs.remove(wavPath)));
+  }
+}
+
+module.exports = { isSsml, parseSsml, renderSsml };
@@ -0,0 +1,177 @@
+const { config } = require("./config");
+const { apiError } = require('./errors');
+const { STT_PROVIDERS } = require('./stt');
+const { sttFallbacks } = require('./metrics');
+const logger = console;
+
+// Used when config.sttProviders is not set: the original primary -> Gradio client -> Vosk order
+const DEFAULT_CHAIN = [
+  { name: 'whisper-primary', timeoutMs: 120000, retries: 0 },
+  { name: 'whisper-gradio-client', timeoutMs: 300000, retries: 0 },
+  { name: 'vosk', timeoutMs: 0, retries: 0 },
+];
+
+// Per-provider circuit breaker: closed -> open after repeated failures -> half-open trial -> closed
+const breakers = new Map();
+const warnedUnknown = new Set();
+
+function breakerSettings() {
+  const settings = config.sttCircuitBreaker || {};
+  return {
+    failureThreshold: Math.max(1, parseInt(settings.failureThreshold, 10) || 3),
+    resetTimeoutMs: Number(settings.resetTimeoutMs) > 0 ? Number(settings.resetTimeoutMs) : 60000,
+  };
+}
+
+function breaker(name) {
+  if (!breakers.has(name)) breakers.set(name, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+  return breakers.get(name);
+}
+
+// Configured chain entries, normalized; strings are shorthand for { name }
+function configuredChain() {
+  const entries = Array.isArray(config.sttProviders) && config.sttProviders.length
+    ? config.sttProviders
+    : DEFAULT_CHAIN;
+  const chain = [];
+  for (const entry of entries) {
+    const provider = typeof entry === 'string' ? { name: entry } : { ...entry };
+    if (!STT_PROVIDERS[provider.name]) {
+      if (!warnedUnknown.has(provider.name)) logger.warn(`Ignoring unknown STT provider in config: ${provider.name}`);
+      warnedUnknown.add(provider.name);
+      continue;
+    }
+    chain.push({
+      name: provider.name,
+      enabled: provider.enabled !== false,
+      timeoutMs: Math.max(0, Number(provider.timeoutMs) || 0),
+      retries: Math.max(0, parseInt(provider.retries, 10) || 0),
+    });
+  }
+  return chain;
+}
+
+function canAttempt(name) {
+  const state = breaker(name);
+  if (state.state === 'open' && Date.now() - state.openedAt >= breakerSettings().resetTimeoutMs) {
+    state.state = 'half-open';
+    state.trial = false;
+  }
+  if (state.state === 'open') return false;
+  if (state.state === 'half-open') {
+    // one trial request at a time while half-open
+    if (state.trial) return false;
+    state.trial = true;
+  }
+  return true;
+}
+
+function recordSuccess(name) {
+  breakers.set(name, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+}
+
+function recordFailure(name) {
+  const state = breaker(name);
+  state.failures += 1;
+  state.trial = false;
+  if (state.state === 'half-open' || state.failures >= breakerSettings().failureThreshold) {
+    if (state.state !== 'open') logger.warn(`STT provider ${name} circuit opened after ${state.failures} failure(s)`);
+    state.state = 'open';
+    state.openedAt = Date.now();
+  }
+}
+
+// Our own 4xx errors (undecodable upload and the like) say nothing about a backend's health
+function isClientError(err) {
+  return err.status >= 400 && err.status < 500;
+}
+
+// Run one provider with its timeout; the caller's signal (job cancellation) still applies
+async function attempt(provider, filePath, options) {
+  const controller = new AbortController();
+  const signal = options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal;
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    if (!provider.timeoutMs) return;
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(apiError('UPSTREAM_TIMEOUT', `timed out after ${provider.timeoutMs}ms`));
+    }, provider.timeoutMs);
+  });
+  try {
+    return await Promise.race([STT_PROVIDERS[provider.name](filePath, { ...options, signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Try each enabled provider in order. The transcript carries .provider and .providerErrors
+// ({ provider, attempt, error } or { provider, skipped, error }) for every backend that did not serve it.
+async function transcribeWithChain(filePath, options = {}) {
+  const providerErrors = [];
+  let previous = null;
+  let lastErr = null;
+  let timedOut = true;
+  // the request itself is at fault only when every provider that was tried rejected it
+  let clientErrorsOnly = true;
+
+  for (const provider of configuredChain()) {
+    options.signal?.throwIfAborted();
+    if (!provider.enabled) continue;
+    if (!canAttempt(provider.name)) {
+      providerErrors.push({ provider: provider.name, skipped: true, error: 'circuit open' });
+      continue;
+    }
+    if (previous) sttFallbacks.inc({ from: previous, to: provider.name });
+    previous = provider.name;
+
+    let backendFailed = false;
+    let providerErr = null;
+    for (let attemptNumber = 1; attemptNumber <= provider.retries + 1; attemptNumber++) {
+      try {
+        const transcript = await attempt(provider, filePath, options);
+        recordSuccess(provider.name);
+        transcript.provider = provider.name;
+        transcript.providerErrors = providerErrors;
+        return transcript;
+      } catch (err) {
+        if (options.signal?.aborted) throw err;
+        lastErr = err;
+        providerErr = err;
+        if (err.code !== 'UPSTREAM_TIMEOUT') timedOut = false;
+        providerErrors.push({ provider: provider.name, attempt: attemptNumber, error: err.message });
+        if (isClientError(err)) break;
+        backendFailed = true;
+      }
+    }
+    if (!isClientError(providerErr)) clientErrorsOnly = false;
+    if (backendFailed) recordFailure(provider.name);
+    else breaker(provider.name).trial = false;
+  }
+
+  if (lastErr && clientErrorsOnly) {
+    lastErr.providerErrors = providerErrors;
+    lastErr.details = { ...lastErr.details, providerErrors };
+    throw lastErr;
+  }
+  // Nothing attempted (none enabled, all circuits open) means no engine; otherwise the backends failed
+  let code = 'UPSTREAM_FAILED';
+  if (!lastErr) code = 'ENGINE_UNAVAILABLE';
+  else if (timedOut) code = 'UPSTREAM_TIMEOUT';
+  const err = apiError(code, providerErrors.length
+    ? `All STT providers failed: ${providerErrors.map((e) => `${e.provider}: ${e.error}`).join('; ')}`
+    : 'No STT providers are enabled');
+  err.providerErrors = providerErrors;
+  err.details = { providerErrors };
+  throw err;
+}
+
+// Chain configuration and breaker state, for /readyz and /metrics
+function providerStatus() {
+  return configuredChain().map((provider) => {
+    const state = breaker(provider.name);
+    return { ...provider, circuit: state.state, failures: state.failures };
+  });
+}
+
+module.exports = { transcribeWithChain, providerStatus };
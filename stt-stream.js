@@ -0,0 +1,205 @@
+const vosk = require("vosk");
+const { WebSocketServer } = require('ws');
+const { config } = require("./config");
+const { acquireVoskModel } = require('./vosk-models');
+const { resample, floatToInt16, pcm16ToFloat } = require('./audio');
+const { fromVoskResults } = require('./transcript');
+const { authorizeRequest, checkAudioQuota, checkDaily, recordAudioSeconds } = require('./auth');
+const { errorCode } = require('./errors');
+
+const STREAM_PATH = '/stt/stream';
+// Same range as config.voskSampleRate; anything else would make resampling blow up
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+// Convert a client chunk (16-bit LE mono PCM) to the model rate, carrying odd bytes over
+function createChunkConverter(inputRate, modelRate) {
+  let leftover = Buffer.alloc(0);
+  return (chunk) => {
+    const data = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = data.length - (data.length % 2);
+    leftover = data.subarray(usable);
+    const pcm = data.subarray(0, usable);
+    if (inputRate === modelRate) return pcm;
+    return floatToInt16(resample(pcm16ToFloat(pcm), inputRate, modelRate));
+  };
+}
+
+async function handleConnection(ws, req) {
+  const modelRate = config.voskSampleRate || 16000;
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const inputRate = query.has('sampleRate') ? Number(query.get('sampleRate')) : modelRate;
+  if (!Number.isInteger(inputRate) || inputRate < MIN_SAMPLE_RATE || inputRate > MAX_SAMPLE_RATE) {
+    send(ws, {
+      type: 'error',
+      code: 'BAD_REQUEST',
+      error: `Invalid sampleRate: expected an integer between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}`,
+    });
+    ws.close(1008);
+    return;
+  }
+
+  let rec = null;
+  let handle = null;
+  let lastPartial = '';
+  let closed = false;
+  // billed from what reaches the recognizer at the model rate, not the client's declared rate
+  let fedBytes = 0;
+
+  const free = () => {
+    if (rec) {
+      rec.free();
+      rec = null;
+    }
+    if (handle) {
+      handle.release();
+      handle = null;
+    }
+  };
+
+  const sendFinal = (result) => {
+    const transcript = fromVoskResults([result]);
+    if (!transcript.text) return;
+    send(ws, { type: 'final', text: transcript.text, segment: transcript.segments[0] });
+  };
+
+  // End the session on a limit: the words heard so far, then the error
+  const stop = (code, error) => {
+    if (rec) sendFinal(rec.finalResult());
+    send(ws, { type: 'error', code, error });
+    free();
+    ws.close(1008);
+  };
+
+  // Sessions are capped in length and closed when the client goes quiet
+  const maxSeconds = config.sttStreamMaxSeconds;
+  const idleMs = config.sttStreamIdleMs;
+  const sessionTimer = maxSeconds > 0
+    ? setTimeout(() => stop('AUDIO_TOO_LONG', `Stream sessions are limited to ${maxSeconds} s`), maxSeconds * 1000)
+    : null;
+  let idleTimer = null;
+  const touch = () => {
+    if (!(idleMs > 0)) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => stop('BAD_REQUEST', `No data received for ${Math.round(idleMs / 1000)} s`), idleMs);
+  };
+  touch();
+
+  // Register handlers before loading the model so early chunks are not lost
+  const pending = [];
+  ws.on('message', (data, isBinary) => {
+    touch();
+    pending.push({ data, isBinary });
+  });
+  ws.on('close', () => {
+    closed = true;
+    clearTimeout(sessionTimer);
+    clearTimeout(idleTimer);
+    free();
+    recordAudioSeconds(req, fedBytes / 2 / modelRate);
+  });
+  ws.on('error', (err) => {
+    console.error('STT stream error:', err.message);
+    free();
+  });
+
+  try {
+    handle = await acquireVoskModel(query.get('language'));
+  } catch (err) {
+    send(ws, { type: 'error', code: errorCode(err), error: err.message });
+    ws.close(err.status && err.status < 500 ? 1008 : 1011);
+    return;
+  }
+  if (closed) {
+    free();
+    return;
+  }
+
+  rec = new vosk.Recognizer({ model: handle.model, sampleRate: modelRate });
+  rec.setMaxAlternatives(1);
+  rec.setWords(true);
+  const convert = createChunkConverter(inputRate, modelRate);
+
+  const handleMessage = ({ data, isBinary }) => {
+    if (!rec) return;
+
+    if (!isBinary) {
+      let message = null;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        send(ws, { type: 'error', code: 'BAD_REQUEST', error: 'Text messages must be JSON' });
+        return;
+      }
+      if (message && (message.eof || message.type === 'eof')) {
+        sendFinal(rec.finalResult());
+        free();
+        ws.close(1000);
+      }
+      return;
+    }
+
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.concat(data);
+    const pcm = convert(chunk);
+    if (!pcm.length) return;
+    // The daily quota is checked as audio arrives, not only at connect; audio past it is not transcribed
+    try {
+      checkDaily(req.apiClient, 'audioSeconds', (fedBytes + pcm.length) / 2 / modelRate);
+    } catch (err) {
+      stop(errorCode(err), err.message);
+      return;
+    }
+    fedBytes += pcm.length;
+
+    if (rec.acceptWaveform(pcm)) {
+      lastPartial = '';
+      sendFinal(rec.result());
+    } else {
+      const partial = rec.partialResult()?.partial?.trim() ?? '';
+      if (partial && partial !== lastPartial) {
+        lastPartial = partial;
+        send(ws, { type: 'partial', text: partial });
+      }
+    }
+  };
+
+  ws.removeAllListeners('message');
+  ws.on('message', (data, isBinary) => {
+    touch();
+    handleMessage({ data, isBinary });
+  });
+  send(ws, { type: 'ready', sampleRate: inputRate, modelSampleRate: modelRate, model: handle.name, language: handle.language });
+  for (const message of pending.splice(0)) handleMessage(message);
+}
+
+// Live recognition: clients stream raw PCM and get partial and per-utterance results back
+function attachSttStream(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: STREAM_PATH,
+    // Same API key and quota rules as the HTTP routes, checked before the upgrade
+    verifyClient: ({ req }, done) => {
+      try {
+        authorizeRequest(req, { allowQuery: true });
+        checkAudioQuota(req);
+        done(true);
+      } catch (err) {
+        done(false, err.status || 500, err.message, err.headers);
+      }
+    },
+  });
+  wss.on('connection', (ws, req) => {
+    handleConnection(ws, req).catch((err) => {
+      console.error('STT stream error:', err.message);
+      send(ws, { type: 'error', code: 'INTERNAL_ERROR', error: 'STT stream error' });
+      ws.close(1011);
+    });
+  });
+  return wss;
+}
+
+module.exports = { attachSttStream, STREAM_PATH };
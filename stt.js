@@ -1,72 +1,53 @@
 const fs = require('fs');
 const path = require('path');
 const vosk = require("vosk");
-const { Readable } = require('stream');
 const { Blob } = require('buffer');
 const { config } = require("./config");
+const { decodeAudioFile } = require('./audio');
+const { fromText, fromVoskResults, fromOpenAiVerbose, parseSubtitles, transcriptDuration } = require('./transcript');
+const { sttRequests, sttDuration, sttAudioSeconds } = require('./metrics');
+const { acquireVoskModel } = require('./vosk-models');
 
-const MODEL_PATH = `./model/${config.vaskmodel}`
-
-let model = null;
 const GRADIO_FILE_META = { _type: 'gradio.FileData' };
 
-async function voskLoader() {
-  // Only load model if not already loaded
-  if (model !== null) return model;
-
-  if (!fs.existsSync(MODEL_PATH)) {
-    console.error(
-      "❌ Vosk model still not found after attempted download:",
-      MODEL_PATH
-    );
-    process.exit(1);
-  }
+// Yield to the event loop this often (in 4096-byte chunks) so long files do not stall the server
+const VOSK_YIELD_CHUNKS = 64;
 
-  vosk.setLogLevel(0);
-  model = new vosk.Model(MODEL_PATH);
-  console.log("✅ Vosk model loaded.");
-  return model;
-}
+// options.language picks the model; options.onProgress(fraction) and options.signal (AbortSignal) serve long-running jobs
+async function transcribeWithVosk(filePath, options = {}) {
+  const sampleRate = config.voskSampleRate || 16000;
+  const audio = await decodeAudioFile(filePath, sampleRate);
+  const handle = await acquireVoskModel(options.language);
 
-async function transcribeWithVosk(filePath) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const wfReader = fs.createReadStream(filePath, { highWaterMark: 4096 });
-      const model = await voskLoader();
-
-      const rec = new vosk.Recognizer({ model, sampleRate: 16000 });
-      rec.setMaxAlternatives(1);
-      rec.setWords(true);
-
-      wfReader.on("data", chunk => rec.acceptWaveform(chunk));
-
-      wfReader.on("end", () => {
-        try {
-          const finalResult = rec.finalResult();
-          rec.free();
-
-          const text =
-            finalResult?.alternatives?.[0]?.text?.trim() ?? "";
-
-          if (text) {
-            resolve(text);
-          } else {
-            resolve(false); // no text detected
-          }
-        } catch (err) {
-          rec.free();
-          reject(err);
-        }
-      });
-
-      wfReader.on("error", err => {
-        rec.free();
-        reject(err);
-      });
-    } catch (err) {
-      reject(err);
+  const rec = new vosk.Recognizer({ model: handle.model, sampleRate });
+  try {
+    rec.setMaxAlternatives(1);
+    rec.setWords(true);
+
+    // Each completed utterance has to be collected before the recognizer moves on
+    const utterances = [];
+    let chunks = 0;
+    for (let offset = 0; offset < audio.pcm.length; offset += 4096) {
+      if (rec.acceptWaveform(audio.pcm.subarray(offset, offset + 4096))) {
+        utterances.push(rec.result());
+      }
+      if (++chunks % VOSK_YIELD_CHUNKS === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+        options.signal?.throwIfAborted();
+        if (options.onProgress) options.onProgress(offset / audio.pcm.length);
+      }
     }
-  });
+    utterances.push(rec.finalResult());
+
+    const transcript = fromVoskResults(utterances);
+    transcript.duration = audio.duration;
+    transcript.model = handle.name;
+    transcript.language = handle.language;
+    return transcript;
+  } finally {
+    rec.free();
+    handle.release();
+  }
 }
 
 function normalizeWhisperModel(modelName) {
@@ -125,17 +106,19 @@ function stripSrt(text) {
   return output.join(' ').trim();
 }
 
-async function extractWhisperTextFromResult(result) {
+// Keep subtitle timings when the output has them, otherwise fall back to plain text
+async function transcriptFromWhisperResult(result) {
+  let rawText;
   if (Array.isArray(result) && Array.isArray(result[1]) && result[1][0] && result[1][0].url) {
     const response = await fetch(result[1][0].url);
     if (!response.ok) {
       throw new Error(`Whisper output fetch failed: ${response.status} ${response.statusText}`);
     }
-    const text = await response.text();
-    return stripSrt(text);
+    rawText = await response.text();
+  } else {
+    rawText = extractWhisperText(result);
   }
-  const rawText = extractWhisperText(result);
-  return stripSrt(rawText);
+  return parseSubtitles(rawText) || fromText(stripSrt(rawText));
 }
 
 function normalizeBaseUrl(url) {
@@ -221,25 +204,31 @@ async function transcribeWithWhisperPrimary(filePath, options = {}) {
   const url = options.primaryUrl || config.whisperPrimaryUrl || 'http://localhost:8080/v1/audio/transcriptions';
   const modelName = options.primaryModel || options.model || config.whisperPrimaryModel || config.whisperModel || 'base';
   const resolvedPath = path.resolve(filePath);
+  const data = await fs.promises.readFile(resolvedPath);
 
+  // Native FormData only takes Blobs; a ReadStream would be sent as the string "[object Object]"
   const form = new FormData();
-  form.append('file', fs.createReadStream(resolvedPath));
+  form.append('file', new Blob([data], { type: getMimeType(resolvedPath) }), path.basename(resolvedPath));
   form.append('model', modelName);
+  if (options.language) form.append('language', options.language);
+  form.append('response_format', 'verbose_json');
+  form.append('timestamp_granularities[]', 'segment');
+  form.append('timestamp_granularities[]', 'word');
 
-  const response = await fetch(url, { method: 'POST', body: form });
+  const response = await fetch(url, { method: 'POST', body: form, signal: options.signal });
 
   if (!response.ok) {
     throw new Error(`Primary whisper failed: ${response.status} ${response.statusText}`);
   }
 
   const result = await response.json();
-  const text = result?.text ?? result?.transcript ?? result?.transcription;
+  const transcript = fromOpenAiVerbose(result);
 
-  if (!text) {
+  if (!transcript.text) {
     throw new Error('Primary whisper returned no text.');
   }
 
-  return String(text).trim();
+  return transcript;
 }
 
 async function transcribeWithWhisper(filePath, options = {}) {
@@ -257,7 +246,7 @@ async function transcribeWithWhisper(filePath, options = {}) {
     '',
     false,
     true,
-    options.fileFormat || 'txt',
+    options.fileFormat || 'srt',
     false,
     modelName,
     options.language || 'Automatic Detection',
@@ -310,7 +299,7 @@ async function transcribeWithWhisper(filePath, options = {}) {
   ];
 
   const result = await callGradio(apiUrl, apiName, data);
-  return await extractWhisperTextFromResult(result);
+  return await transcriptFromWhisperResult(result);
 }
 
 async function transcribeWithGradioClient(filePath, options = {}) {
@@ -333,37 +322,45 @@ async function transcribeWithGradioClient(filePath, options = {}) {
   if (!text) {
     throw new Error('Gradio client returned no text.');
   }
-  return text;
+  return fromText(text);
 }
 
-async function transcribeWithWhisperWithFallback(filePath, options = {}) {
-  let lastErr = null;
-  try {
-    return await transcribeWithWhisperPrimary(filePath, options);
-  } catch (err) {
-    lastErr = err;
-  }
-
-  try {
-    return await transcribeWithGradioClient(filePath, options);
-  } catch (err) {
-    lastErr = err;
-  }
+// Every engine call is timed and counted for /metrics
+function instrument(engine, transcribe) {
+  return async (filePath, options) => {
+    const stopTimer = sttDuration.startTimer({ engine });
+    try {
+      const transcript = await transcribe(filePath, options);
+      stopTimer();
+      sttRequests.inc({ engine, outcome: 'success' });
+      sttAudioSeconds.inc({ engine }, transcriptDuration(transcript));
+      return transcript;
+    } catch (err) {
+      sttRequests.inc({ engine, outcome: 'error' });
+      throw err;
+    }
+  };
+}
 
-  try {
-    return await transcribeWithVosk(filePath);
-  } catch (err) {
-    lastErr = err;
-  }
+const engines = {
+  vosk: instrument('vosk', transcribeWithVosk),
+  whisperPrimary: instrument('whisper-primary', transcribeWithWhisperPrimary),
+  whisperGradio: instrument('whisper-gradio', transcribeWithWhisper),
+  whisperGradioClient: instrument('whisper-gradio-client', transcribeWithGradioClient),
+};
 
-  throw lastErr || new Error('Transcription failed with all providers.');
-}
+// Provider name -> engine, as used in config.sttProviders
+const STT_PROVIDERS = {
+  'whisper-primary': engines.whisperPrimary,
+  'whisper-gradio': engines.whisperGradio,
+  'whisper-gradio-client': engines.whisperGradioClient,
+  vosk: engines.vosk,
+};
 
 module.exports = {
-  transcribeWithVosk,
-  transcribeWithWhisper,
-  transcribeWithWhisperWithFallback,
-  transcribeWithGradioClient,
-  voskLoader,
+  STT_PROVIDERS,
+  transcribeWithVosk: engines.vosk,
+  transcribeWithWhisper: engines.whisperGradio,
+  transcribeWithGradioClient: engines.whisperGradioClient,
   normalizeWhisperModel,
 };
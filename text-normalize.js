@@ -0,0 +1,914 @@
+// Text normalization in front of Piper: numbers, ordinals, fractions, years, currencies, dates, times,
+// phone and version numbers, units, abbreviations, URLs and emojis are rewritten as words in the
+// voice's language.
+const { config } = require("./config");
+const { speller, spellInteger, spellDigits, pluralForm } = require('./number-words');
+
+const EMOJI_MODES = ['strip', 'names'];
+
+// Noun forms: [one, other], or { one, few, many, other } for Russian and Polish, plus the grammatical
+// gender the number in front of it takes (m, f, n, or c for Swedish common gender)
+const noun = (forms, gender) => ({ forms, gender });
+
+// Denominators 2 to 10, feminine to agree with the implied "part"
+const RU_FRACTIONS = {
+  one: ['вторая', 'третья', 'четвёртая', 'пятая', 'шестая', 'седьмая', 'восьмая', 'девятая', 'десятая'],
+  other: ['вторых', 'третьих', 'четвёртых', 'пятых', 'шестых', 'седьмых', 'восьмых', 'девятых', 'десятых'],
+};
+const PL_FRACTIONS = {
+  one: ['druga', 'trzecia', 'czwarta', 'piąta', 'szósta', 'siódma', 'ósma', 'dziewiąta', 'dziesiąta'],
+  few: ['drugie', 'trzecie', 'czwarte', 'piąte', 'szóste', 'siódme', 'ósme', 'dziewiąte', 'dziesiąte'],
+  many: ['drugich', 'trzecich', 'czwartych', 'piątych', 'szóstych', 'siódmych', 'ósmych', 'dziewiątych', 'dziesiątych'],
+};
+
+const RULES = {
+  en: {
+    decimal: '.',
+    group: ',',
+    words: {
+      point: 'point', minus: 'minus', and: 'and', dot: 'dot', at: 'at', slash: 'slash', plus: 'plus',
+      question: 'question mark', equals: 'equals', amp: 'and', hash: 'hash',
+    },
+    dateOrder: 'mdy',
+    date: ({ day, month, year }) => `${month} ${day}${year ? `, ${year}` : ''}`,
+    time(h, m, suffix, spell) {
+      const minutes = m ? ` ${m < 10 ? 'oh ' : ''}${spell.cardinal(m)}` : '';
+      if (suffix) return `${spell.cardinal(h)}${minutes} ${suffix.toUpperCase()}M`;
+      if (!m) return h <= 12 ? `${spell.cardinal(h)} o'clock` : `${spell.cardinal(h)} hundred`;
+      return `${spell.cardinal(h)}${minutes}`;
+    },
+    // 1990s, '90s -> nineteen nineties, nineties
+    decades: {
+      pattern: /(?:\b(\d{2})|'|\b)(\d0)s\b/g,
+      read: (words) => `${words.replace(/y$/, 'ie')}s`,
+    },
+    fraction(n, d, spell) {
+      const [one, other] = { 2: ['half', 'halves'], 4: ['quarter', 'quarters'] }[d] || [spell.ordinal(d), `${spell.ordinal(d)}s`];
+      return `${spell.cardinal(n)} ${n === 1 ? one : other}`;
+    },
+    currencies: {
+      USD: { major: noun(['dollar', 'dollars']), minor: noun(['cent', 'cents']) },
+      EUR: { major: noun(['euro', 'euros']), minor: noun(['cent', 'cents']) },
+      GBP: { major: noun(['pound', 'pounds']), minor: noun(['penny', 'pence']) },
+      BRL: { major: noun(['real', 'reais']), minor: noun(['centavo', 'centavos']) },
+      SEK: { major: noun(['krona', 'kronor']), minor: noun(['öre', 'öre']) },
+      DKK: { major: noun(['krone', 'kroner']), minor: noun(['øre', 'øre']) },
+      PLN: { major: noun(['zloty', 'zlotys']), minor: noun(['grosz', 'groszy']) },
+      RUB: { major: noun(['ruble', 'rubles']), minor: noun(['kopek', 'kopeks']) },
+    },
+    units: {
+      km: noun(['kilometer', 'kilometers']),
+      m: noun(['meter', 'meters']),
+      cm: noun(['centimeter', 'centimeters']),
+      mm: noun(['millimeter', 'millimeters']),
+      kg: noun(['kilogram', 'kilograms']),
+      g: noun(['gram', 'grams']),
+      mg: noun(['milligram', 'milligrams']),
+      l: noun(['liter', 'liters']),
+      ml: noun(['milliliter', 'milliliters']),
+      'km/h': noun(['kilometer per hour', 'kilometers per hour']),
+      mph: noun(['mile per hour', 'miles per hour']),
+      '%': noun(['percent', 'percent']),
+      '°C': noun(['degree Celsius', 'degrees Celsius']),
+      '°F': noun(['degree Fahrenheit', 'degrees Fahrenheit']),
+      min: noun(['minute', 'minutes']),
+      GB: noun(['gigabyte', 'gigabytes']),
+      MB: noun(['megabyte', 'megabytes']),
+    },
+    titles: { 'Dr.': 'Doctor', 'Mr.': 'Mister', 'Mrs.': 'Missus', 'Ms.': 'Miz', 'Prof.': 'Professor', 'Mt.': 'Mount', 'St.': 'Saint' },
+    abbreviations: {
+      'e.g.': 'for example', 'i.e.': 'that is', 'etc.': 'et cetera', 'vs.': 'versus', 'approx.': 'approximately',
+      'Jr.': 'Junior', 'Sr.': 'Senior', 'Inc.': 'Incorporated', 'Ltd.': 'Limited', 'No.': 'number', 'Ave.': 'Avenue',
+    },
+    ordinals: { pattern: /\b(\d+)(st|nd|rd|th)\b/gi, read: (n, suffix, spell) => spell.ordinal(n) },
+  },
+  de: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'Komma', minus: 'minus', and: 'und', dot: 'Punkt', at: 'at', slash: 'Schrägstrich', plus: 'plus',
+      question: 'Fragezeichen', equals: 'gleich', amp: 'und', hash: 'Raute',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    // "am 3. März" takes the dative: am dritten März
+    dative: /\b(?:am|vom|zum|bis zum|seit dem|ab dem)\s+$/i,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h, { gender: 'f' }).replace(/^eine$/, 'ein')} Uhr${m ? ` ${spell.cardinal(m)}` : ''}`,
+    // 1990er, 90er -> neunzehnhundertneunziger, neunziger
+    decades: { pattern: /\b(\d{2})?(\d0)er\b/g, read: (words) => `${words}er` },
+    fraction(n, d, spell) {
+      if (d === 2) return 'ein halb';
+      // dritte -> Drittel
+      const part = spell.ordinal(d).replace(/e$/, 'el');
+      return `${spell.cardinal(n, { gender: 'n' })} ${part[0].toUpperCase()}${part.slice(1)}`;
+    },
+    currencies: {
+      USD: { major: noun(['Dollar', 'Dollar'], 'm'), minor: noun(['Cent', 'Cent'], 'm') },
+      EUR: { major: noun(['Euro', 'Euro'], 'm'), minor: noun(['Cent', 'Cent'], 'm') },
+      GBP: { major: noun(['Pfund', 'Pfund'], 'n'), minor: noun(['Penny', 'Pence'], 'm') },
+    },
+    units: {
+      km: noun(['Kilometer', 'Kilometer'], 'm'),
+      m: noun(['Meter', 'Meter'], 'm'),
+      cm: noun(['Zentimeter', 'Zentimeter'], 'm'),
+      mm: noun(['Millimeter', 'Millimeter'], 'm'),
+      kg: noun(['Kilogramm', 'Kilogramm'], 'n'),
+      g: noun(['Gramm', 'Gramm'], 'n'),
+      mg: noun(['Milligramm', 'Milligramm'], 'n'),
+      l: noun(['Liter', 'Liter'], 'm'),
+      ml: noun(['Milliliter', 'Milliliter'], 'm'),
+      'km/h': noun(['Kilometer pro Stunde', 'Kilometer pro Stunde'], 'm'),
+      mph: noun(['Meile pro Stunde', 'Meilen pro Stunde'], 'f'),
+      '%': noun(['Prozent', 'Prozent'], 'n'),
+      '°C': noun(['Grad Celsius', 'Grad Celsius'], 'n'),
+      '°F': noun(['Grad Fahrenheit', 'Grad Fahrenheit'], 'n'),
+      min: noun(['Minute', 'Minuten'], 'f'),
+      GB: noun(['Gigabyte', 'Gigabyte'], 'n'),
+      MB: noun(['Megabyte', 'Megabyte'], 'n'),
+    },
+    titles: { 'Dr.': 'Doktor', 'Prof.': 'Professor', 'Hr.': 'Herr', 'Fr.': 'Frau', 'St.': 'Sankt' },
+    abbreviations: {
+      'z.B.': 'zum Beispiel', 'z. B.': 'zum Beispiel', 'bzw.': 'beziehungsweise', 'usw.': 'und so weiter',
+      'ca.': 'circa', 'd.h.': 'das heißt', 'd. h.': 'das heißt', 'u.a.': 'unter anderem', 'u. a.': 'unter anderem',
+      'Nr.': 'Nummer', 'Str.': 'Straße', 'evtl.': 'eventuell', 'ggf.': 'gegebenenfalls', 'inkl.': 'inklusive', 'vgl.': 'vergleiche',
+    },
+  },
+  fr: {
+    decimal: ',',
+    group: 'space',
+    words: {
+      point: 'virgule', minus: 'moins', and: 'et', dot: 'point', at: 'arobase', slash: 'barre oblique', plus: 'plus',
+      question: "point d'interrogation", equals: 'égal', amp: 'et', hash: 'dièse',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h, { gender: 'f' })} heure${h > 1 ? 's' : ''}${m ? ` ${spell.cardinal(m, { gender: 'f' })}` : ''}`,
+    // 14h30, 9h
+    clock: /\b([01]?\d|2[0-3])h([0-5]\d)?(?![\p{L}\d])/gu,
+    fraction(n, d, spell) {
+      const part = { 2: 'demi', 3: 'tiers', 4: 'quart' }[d] || spell.ordinal(d);
+      return `${spell.cardinal(n)} ${part}${n > 1 && !part.endsWith('s') ? 's' : ''}`;
+    },
+    currencies: {
+      USD: { major: noun(['dollar', 'dollars'], 'm'), minor: noun(['cent', 'cents'], 'm') },
+      EUR: { major: noun(['euro', 'euros'], 'm'), minor: noun(['centime', 'centimes'], 'm') },
+      GBP: { major: noun(['livre sterling', 'livres sterling'], 'f'), minor: noun(['penny', 'pence'], 'm') },
+    },
+    units: {
+      km: noun(['kilomètre', 'kilomètres'], 'm'),
+      m: noun(['mètre', 'mètres'], 'm'),
+      cm: noun(['centimètre', 'centimètres'], 'm'),
+      mm: noun(['millimètre', 'millimètres'], 'm'),
+      kg: noun(['kilogramme', 'kilogrammes'], 'm'),
+      g: noun(['gramme', 'grammes'], 'm'),
+      mg: noun(['milligramme', 'milligrammes'], 'm'),
+      l: noun(['litre', 'litres'], 'm'),
+      ml: noun(['millilitre', 'millilitres'], 'm'),
+      'km/h': noun(['kilomètre par heure', 'kilomètres par heure'], 'm'),
+      mph: noun(['mile par heure', 'miles par heure'], 'm'),
+      '%': noun(['pour cent', 'pour cent'], 'm'),
+      '°C': noun(['degré Celsius', 'degrés Celsius'], 'm'),
+      '°F': noun(['degré Fahrenheit', 'degrés Fahrenheit'], 'm'),
+      min: noun(['minute', 'minutes'], 'f'),
+      GB: noun(['gigaoctet', 'gigaoctets'], 'm'),
+      MB: noun(['mégaoctet', 'mégaoctets'], 'm'),
+    },
+    titles: { 'M.': 'Monsieur', 'MM.': 'Messieurs', 'Mme': 'Madame', 'Mlle': 'Mademoiselle', 'Dr': 'Docteur', 'Pr': 'Professeur', 'St': 'Saint', 'Ste': 'Sainte' },
+    abbreviations: {
+      'etc.': 'et cetera', 'p. ex.': 'par exemple', 'c.-à-d.': "c'est-à-dire", 'av.': 'avenue', 'bd': 'boulevard',
+      'n°': 'numéro', 'env.': 'environ',
+    },
+    ordinals: {
+      pattern: /\b(\d+)(er|re|ère|ème|e)\b/g,
+      read: (n, suffix, spell) => spell.ordinal(n, { gender: suffix === 're' || suffix === 'ère' ? 'f' : 'm' }),
+    },
+  },
+  es: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'coma', minus: 'menos', and: 'con', dot: 'punto', at: 'arroba', slash: 'barra', plus: 'más',
+      question: 'signo de interrogación', equals: 'igual', amp: 'y', hash: 'almohadilla',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} de ${month}${year ? ` de ${year}` : ''}`,
+    time(h, m, suffix, spell) {
+      // the article stays in the text: "a las 9:30"
+      return `${spell.cardinal(h, { gender: 'f' })}${m ? ` y ${spell.cardinal(m)}` : ''}`;
+    },
+    fraction(n, d, spell) {
+      const part = { 2: 'medio', 3: 'tercio' }[d] || spell.ordinal(d);
+      return `${spell.cardinal(n, { gender: 'm' })} ${part}${n > 1 ? 's' : ''}`;
+    },
+    currencies: {
+      USD: { major: noun(['dólar', 'dólares'], 'm'), minor: noun(['centavo', 'centavos'], 'm') },
+      EUR: { major: noun(['euro', 'euros'], 'm'), minor: noun(['céntimo', 'céntimos'], 'm') },
+      GBP: { major: noun(['libra', 'libras'], 'f'), minor: noun(['penique', 'peniques'], 'm') },
+    },
+    units: {
+      km: noun(['kilómetro', 'kilómetros'], 'm'),
+      m: noun(['metro', 'metros'], 'm'),
+      cm: noun(['centímetro', 'centímetros'], 'm'),
+      mm: noun(['milímetro', 'milímetros'], 'm'),
+      kg: noun(['kilogramo', 'kilogramos'], 'm'),
+      g: noun(['gramo', 'gramos'], 'm'),
+      mg: noun(['miligramo', 'miligramos'], 'm'),
+      l: noun(['litro', 'litros'], 'm'),
+      ml: noun(['mililitro', 'mililitros'], 'm'),
+      'km/h': noun(['kilómetro por hora', 'kilómetros por hora'], 'm'),
+      mph: noun(['milla por hora', 'millas por hora'], 'f'),
+      '%': noun(['por ciento', 'por ciento'], 'm'),
+      '°C': noun(['grado Celsius', 'grados Celsius'], 'm'),
+      '°F': noun(['grado Fahrenheit', 'grados Fahrenheit'], 'm'),
+      min: noun(['minuto', 'minutos'], 'm'),
+      GB: noun(['gigabyte', 'gigabytes'], 'm'),
+      MB: noun(['megabyte', 'megabytes'], 'm'),
+    },
+    titles: { 'Sr.': 'señor', 'Sra.': 'señora', 'Srta.': 'señorita', 'Dr.': 'doctor', 'Dra.': 'doctora', 'Ud.': 'usted', 'Uds.': 'ustedes' },
+    abbreviations: {
+      'etc.': 'etcétera', 'p. ej.': 'por ejemplo', 'núm.': 'número', 'Avda.': 'avenida', 'aprox.': 'aproximadamente',
+    },
+    ordinals: {
+      pattern: /\b(\d+)\.?([ºª])/g,
+      read: (n, suffix, spell) => spell.ordinal(n, { gender: suffix === 'ª' ? 'f' : 'm' }),
+    },
+  },
+  it: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'virgola', minus: 'meno', and: 'e', dot: 'punto', at: 'chiocciola', slash: 'barra', plus: 'più',
+      question: 'punto interrogativo', equals: 'uguale', amp: 'e', hash: 'cancelletto',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time(h, m, suffix, spell) {
+      return `${h === 1 ? 'una' : spell.cardinal(h)}${m ? ` e ${spell.cardinal(m)}` : ''}`;
+    },
+    fraction(n, d, spell) {
+      const part = d === 2 ? 'mezzo' : spell.ordinal(d);
+      return `${spell.cardinal(n, { gender: 'm' })} ${n > 1 ? part.replace(/o$/, 'i') : part}`;
+    },
+    currencies: {
+      USD: { major: noun(['dollaro', 'dollari'], 'm'), minor: noun(['centesimo', 'centesimi'], 'm') },
+      EUR: { major: noun(['euro', 'euro'], 'm'), minor: noun(['centesimo', 'centesimi'], 'm') },
+      GBP: { major: noun(['sterlina', 'sterline'], 'f'), minor: noun(['penny', 'pence'], 'm') },
+    },
+    units: {
+      km: noun(['chilometro', 'chilometri'], 'm'),
+      m: noun(['metro', 'metri'], 'm'),
+      cm: noun(['centimetro', 'centimetri'], 'm'),
+      mm: noun(['millimetro', 'millimetri'], 'm'),
+      kg: noun(['chilogrammo', 'chilogrammi'], 'm'),
+      g: noun(['grammo', 'grammi'], 'm'),
+      mg: noun(['milligrammo', 'milligrammi'], 'm'),
+      l: noun(['litro', 'litri'], 'm'),
+      ml: noun(['millilitro', 'millilitri'], 'm'),
+      'km/h': noun(['chilometro orario', 'chilometri orari'], 'm'),
+      mph: noun(['miglio orario', 'miglia orarie'], 'm'),
+      '%': noun(['per cento', 'per cento'], 'm'),
+      '°C': noun(['grado Celsius', 'gradi Celsius'], 'm'),
+      '°F': noun(['grado Fahrenheit', 'gradi Fahrenheit'], 'm'),
+      min: noun(['minuto', 'minuti'], 'm'),
+      GB: noun(['gigabyte', 'gigabyte'], 'm'),
+      MB: noun(['megabyte', 'megabyte'], 'm'),
+    },
+    titles: { 'Sig.': 'signor', 'Sig.ra': 'signora', 'Dott.': 'dottor', 'Dott.ssa': 'dottoressa', 'Prof.': 'professor', 'Avv.': 'avvocato' },
+    abbreviations: { 'ecc.': 'eccetera', 'p.es.': 'per esempio', 'ca.': 'circa', 'n.': 'numero' },
+    ordinals: {
+      pattern: /\b(\d+)\.?([ºª])/g,
+      read: (n, suffix, spell) => spell.ordinal(n, { gender: suffix === 'ª' ? 'f' : 'm' }),
+    },
+  },
+  pt: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'vírgula', minus: 'menos', and: 'e', dot: 'ponto', at: 'arroba', slash: 'barra', plus: 'mais',
+      question: 'ponto de interrogação', equals: 'igual', amp: 'e', hash: 'cerquilha',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} de ${month}${year ? ` de ${year}` : ''}`,
+    time(h, m, suffix, spell) {
+      const hour = `${spell.cardinal(h, { gender: 'f' })} hora${h > 1 ? 's' : ''}`;
+      return `${hour}${m ? ` e ${spell.cardinal(m)}` : ''}`;
+    },
+    fraction(n, d, spell) {
+      const part = { 2: 'meio', 3: 'terço' }[d] || spell.ordinal(d);
+      return `${spell.cardinal(n, { gender: 'm' })} ${part}${n > 1 ? 's' : ''}`;
+    },
+    currencies: {
+      USD: { major: noun(['dólar', 'dólares'], 'm'), minor: noun(['centavo', 'centavos'], 'm') },
+      EUR: { major: noun(['euro', 'euros'], 'm'), minor: noun(['centavo', 'centavos'], 'm') },
+      GBP: { major: noun(['libra', 'libras'], 'f'), minor: noun(['pêni', 'pence'], 'm') },
+      BRL: { major: noun(['real', 'reais'], 'm'), minor: noun(['centavo', 'centavos'], 'm') },
+    },
+    units: {
+      km: noun(['quilômetro', 'quilômetros'], 'm'),
+      m: noun(['metro', 'metros'], 'm'),
+      cm: noun(['centímetro', 'centímetros'], 'm'),
+      mm: noun(['milímetro', 'milímetros'], 'm'),
+      kg: noun(['quilograma', 'quilogramas'], 'm'),
+      g: noun(['grama', 'gramas'], 'm'),
+      mg: noun(['miligrama', 'miligramas'], 'm'),
+      l: noun(['litro', 'litros'], 'm'),
+      ml: noun(['mililitro', 'mililitros'], 'm'),
+      'km/h': noun(['quilômetro por hora', 'quilômetros por hora'], 'm'),
+      mph: noun(['milha por hora', 'milhas por hora'], 'f'),
+      '%': noun(['por cento', 'por cento'], 'm'),
+      '°C': noun(['grau Celsius', 'graus Celsius'], 'm'),
+      '°F': noun(['grau Fahrenheit', 'graus Fahrenheit'], 'm'),
+      min: noun(['minuto', 'minutos'], 'm'),
+      GB: noun(['gigabyte', 'gigabytes'], 'm'),
+      MB: noun(['megabyte', 'megabytes'], 'm'),
+    },
+    titles: { 'Sr.': 'senhor', 'Sra.': 'senhora', 'Dr.': 'doutor', 'Dra.': 'doutora' },
+    abbreviations: {
+      'etc.': 'et cetera', 'p. ex.': 'por exemplo', 'nº': 'número', 'Av.': 'avenida', 'aprox.': 'aproximadamente',
+    },
+    ordinals: {
+      pattern: /\b(\d+)\.?([ºª])/g,
+      read: (n, suffix, spell) => spell.ordinal(n, { gender: suffix === 'ª' ? 'f' : 'm' }),
+    },
+  },
+  nl: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'komma', minus: 'min', and: 'en', dot: 'punt', at: 'apenstaartje', slash: 'schuine streep', plus: 'plus',
+      question: 'vraagteken', equals: 'is gelijk aan', amp: 'en', hash: 'hekje',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h)} uur${m ? ` ${spell.cardinal(m)}` : ''}`,
+    fraction: (n, d, spell) => `${spell.cardinal(n)} ${{ 2: 'half', 4: 'kwart' }[d] || spell.ordinal(d)}`,
+    currencies: {
+      USD: { major: noun(['dollar', 'dollar']), minor: noun(['cent', 'cent']) },
+      EUR: { major: noun(['euro', 'euro']), minor: noun(['cent', 'cent']) },
+      GBP: { major: noun(['pond', 'pond']), minor: noun(['penny', 'pence']) },
+    },
+    units: {
+      km: noun(['kilometer', 'kilometer']),
+      m: noun(['meter', 'meter']),
+      cm: noun(['centimeter', 'centimeter']),
+      mm: noun(['millimeter', 'millimeter']),
+      kg: noun(['kilogram', 'kilogram']),
+      g: noun(['gram', 'gram']),
+      mg: noun(['milligram', 'milligram']),
+      l: noun(['liter', 'liter']),
+      ml: noun(['milliliter', 'milliliter']),
+      'km/h': noun(['kilometer per uur', 'kilometer per uur']),
+      mph: noun(['mijl per uur', 'mijl per uur']),
+      '%': noun(['procent', 'procent']),
+      '°C': noun(['graad Celsius', 'graden Celsius']),
+      '°F': noun(['graad Fahrenheit', 'graden Fahrenheit']),
+      min: noun(['minuut', 'minuten']),
+      GB: noun(['gigabyte', 'gigabyte']),
+      MB: noun(['megabyte', 'megabyte']),
+    },
+    titles: { 'dhr.': 'de heer', 'mevr.': 'mevrouw', 'dr.': 'dokter', 'prof.': 'professor', 'St.': 'Sint' },
+    abbreviations: {
+      'bijv.': 'bijvoorbeeld', 'bv.': 'bijvoorbeeld', 'enz.': 'enzovoort', 'd.w.z.': 'dat wil zeggen', 'ca.': 'circa',
+      'nr.': 'nummer', 'o.a.': 'onder andere',
+    },
+    ordinals: { pattern: /\b(\d+)(ste|de|e)\b/g, read: (n, suffix, spell) => spell.ordinal(n) },
+  },
+  sv: {
+    decimal: ',',
+    group: 'space',
+    words: {
+      point: 'komma', minus: 'minus', and: 'och', dot: 'punkt', at: 'snabel-a', slash: 'snedstreck', plus: 'plus',
+      question: 'frågetecken', equals: 'lika med', amp: 'och', hash: 'fyrkant',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h)}${m ? ` och ${spell.cardinal(m)}` : ''}`,
+    fraction(n, d, spell) {
+      if (d === 2) return 'en halv';
+      return `${spell.cardinal(n, { gender: 'c' })} ${spell.ordinal(d)}${n > 1 ? 'delar' : 'del'}`;
+    },
+    currencies: {
+      USD: { major: noun(['dollar', 'dollar'], 'c'), minor: noun(['cent', 'cent'], 'c') },
+      EUR: { major: noun(['euro', 'euro'], 'c'), minor: noun(['cent', 'cent'], 'c') },
+      GBP: { major: noun(['pund', 'pund'], 'n'), minor: noun(['penny', 'pence'], 'c') },
+      SEK: { major: noun(['krona', 'kronor'], 'c'), minor: noun(['öre', 'öre'], 'n') },
+    },
+    units: {
+      km: noun(['kilometer', 'kilometer'], 'c'),
+      m: noun(['meter', 'meter'], 'c'),
+      cm: noun(['centimeter', 'centimeter'], 'c'),
+      mm: noun(['millimeter', 'millimeter'], 'c'),
+      kg: noun(['kilo', 'kilo'], 'n'),
+      g: noun(['gram', 'gram'], 'n'),
+      mg: noun(['milligram', 'milligram'], 'n'),
+      l: noun(['liter', 'liter'], 'c'),
+      ml: noun(['milliliter', 'milliliter'], 'c'),
+      'km/h': noun(['kilometer i timmen', 'kilometer i timmen'], 'c'),
+      mph: noun(['engelsk mil i timmen', 'engelska mil i timmen'], 'c'),
+      '%': noun(['procent', 'procent'], 'c'),
+      '°C': noun(['grad Celsius', 'grader Celsius'], 'c'),
+      '°F': noun(['grad Fahrenheit', 'grader Fahrenheit'], 'c'),
+      min: noun(['minut', 'minuter'], 'c'),
+      GB: noun(['gigabyte', 'gigabyte'], 'c'),
+      MB: noun(['megabyte', 'megabyte'], 'c'),
+    },
+    titles: { 'St.': 'Sankt' },
+    abbreviations: {
+      't.ex.': 'till exempel', 't. ex.': 'till exempel', 'bl.a.': 'bland annat', 'osv.': 'och så vidare',
+      'dvs.': 'det vill säga', 'ca': 'cirka', 'nr': 'nummer', 'kl.': 'klockan', 'm.m.': 'med mera',
+    },
+    ordinals: { pattern: /\b(\d+):([ae])\b/g, read: (n, suffix, spell) => spell.ordinal(n) },
+  },
+  da: {
+    decimal: ',',
+    group: '.',
+    words: {
+      point: 'komma', minus: 'minus', and: 'og', dot: 'punktum', at: 'snabel-a', slash: 'skråstreg', plus: 'plus',
+      question: 'spørgsmålstegn', equals: 'lig med', amp: 'og', hash: 'havelåge',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h)}${m ? ` ${spell.cardinal(m)}` : ''}`,
+    fraction(n, d, spell) {
+      if (d === 2) return 'en halv';
+      return `${spell.cardinal(n)} ${spell.ordinal(d)}${n > 1 ? 'dele' : 'del'}`;
+    },
+    currencies: {
+      USD: { major: noun(['dollar', 'dollars']), minor: noun(['cent', 'cent']) },
+      EUR: { major: noun(['euro', 'euro']), minor: noun(['cent', 'cent']) },
+      GBP: { major: noun(['pund', 'pund'], 'n'), minor: noun(['penny', 'pence']) },
+      DKK: { major: noun(['krone', 'kroner']), minor: noun(['øre', 'øre']) },
+    },
+    units: {
+      km: noun(['kilometer', 'kilometer']),
+      m: noun(['meter', 'meter']),
+      cm: noun(['centimeter', 'centimeter']),
+      mm: noun(['millimeter', 'millimeter']),
+      kg: noun(['kilo', 'kilo'], 'n'),
+      g: noun(['gram', 'gram'], 'n'),
+      mg: noun(['milligram', 'milligram'], 'n'),
+      l: noun(['liter', 'liter']),
+      ml: noun(['milliliter', 'milliliter']),
+      'km/h': noun(['kilometer i timen', 'kilometer i timen']),
+      mph: noun(['mil i timen', 'mil i timen']),
+      '%': noun(['procent', 'procent'], 'n'),
+      '°C': noun(['grad Celsius', 'grader Celsius']),
+      '°F': noun(['grad Fahrenheit', 'grader Fahrenheit']),
+      min: noun(['minut', 'minutter']),
+      GB: noun(['gigabyte', 'gigabyte']),
+      MB: noun(['megabyte', 'megabyte']),
+    },
+    titles: { 'hr.': 'hr', 'St.': 'Sankt' },
+    abbreviations: {
+      'f.eks.': 'for eksempel', 'bl.a.': 'blandt andet', 'osv.': 'og så videre', 'dvs.': 'det vil sige',
+      'ca.': 'cirka', 'nr.': 'nummer', 'kl.': 'klokken',
+    },
+  },
+  ru: {
+    decimal: ',',
+    group: 'space',
+    words: {
+      point: 'запятая', minus: 'минус', and: '', dot: 'точка', at: 'собака', slash: 'слэш', plus: 'плюс',
+      question: 'вопросительный знак', equals: 'равно', amp: 'и', hash: 'решётка',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time(h, m, suffix, spell) {
+      const hours = `${spell.cardinal(h)} ${pluralForm('ru', h, { one: 'час', few: 'часа', many: 'часов' })}`;
+      if (!m) return hours;
+      return `${hours} ${spell.cardinal(m, { gender: 'f' })} ${pluralForm('ru', m, { one: 'минута', few: 'минуты', many: 'минут' })}`;
+    },
+    // одна третья, две третьих
+    fraction: (n, d, spell) => `${spell.cardinal(n, { gender: 'f' })} ${RU_FRACTIONS[n === 1 ? 'one' : 'other'][d - 2]}`,
+    currencies: {
+      USD: { major: noun({ one: 'доллар', few: 'доллара', many: 'долларов', other: 'доллара' }, 'm'), minor: noun({ one: 'цент', few: 'цента', many: 'центов', other: 'цента' }, 'm') },
+      EUR: { major: noun({ one: 'евро', other: 'евро' }, 'm'), minor: noun({ one: 'цент', few: 'цента', many: 'центов', other: 'цента' }, 'm') },
+      GBP: { major: noun({ one: 'фунт', few: 'фунта', many: 'фунтов', other: 'фунта' }, 'm'), minor: noun({ one: 'пенни', other: 'пенни' }, 'm') },
+      RUB: { major: noun({ one: 'рубль', few: 'рубля', many: 'рублей', other: 'рубля' }, 'm'), minor: noun({ one: 'копейка', few: 'копейки', many: 'копеек', other: 'копейки' }, 'f') },
+    },
+    units: {
+      km: noun({ one: 'километр', few: 'километра', many: 'километров', other: 'километра' }, 'm'),
+      m: noun({ one: 'метр', few: 'метра', many: 'метров', other: 'метра' }, 'm'),
+      cm: noun({ one: 'сантиметр', few: 'сантиметра', many: 'сантиметров', other: 'сантиметра' }, 'm'),
+      mm: noun({ one: 'миллиметр', few: 'миллиметра', many: 'миллиметров', other: 'миллиметра' }, 'm'),
+      kg: noun({ one: 'килограмм', few: 'килограмма', many: 'килограммов', other: 'килограмма' }, 'm'),
+      g: noun({ one: 'грамм', few: 'грамма', many: 'граммов', other: 'грамма' }, 'm'),
+      mg: noun({ one: 'миллиграмм', few: 'миллиграмма', many: 'миллиграммов', other: 'миллиграмма' }, 'm'),
+      l: noun({ one: 'литр', few: 'литра', many: 'литров', other: 'литра' }, 'm'),
+      ml: noun({ one: 'миллилитр', few: 'миллилитра', many: 'миллилитров', other: 'миллилитра' }, 'm'),
+      'km/h': noun({ one: 'километр в час', few: 'километра в час', many: 'километров в час', other: 'километра в час' }, 'm'),
+      mph: noun({ one: 'миля в час', few: 'мили в час', many: 'миль в час', other: 'мили в час' }, 'f'),
+      '%': noun({ one: 'процент', few: 'процента', many: 'процентов', other: 'процента' }, 'm'),
+      '°C': noun({ one: 'градус Цельсия', few: 'градуса Цельсия', many: 'градусов Цельсия', other: 'градуса Цельсия' }, 'm'),
+      '°F': noun({ one: 'градус Фаренгейта', few: 'градуса Фаренгейта', many: 'градусов Фаренгейта', other: 'градуса Фаренгейта' }, 'm'),
+      min: noun({ one: 'минута', few: 'минуты', many: 'минут', other: 'минуты' }, 'f'),
+      GB: noun({ one: 'гигабайт', few: 'гигабайта', many: 'гигабайт', other: 'гигабайта' }, 'm'),
+      MB: noun({ one: 'мегабайт', few: 'мегабайта', many: 'мегабайт', other: 'мегабайта' }, 'm'),
+    },
+    titles: {},
+    abbreviations: {
+      'т.е.': 'то есть', 'т. е.': 'то есть', 'и т.д.': 'и так далее', 'и т. д.': 'и так далее', 'и т.п.': 'и тому подобное',
+      'и т. п.': 'и тому подобное', 'ул.': 'улица', 'см.': 'смотри', 'стр.': 'страница', 'др.': 'другие',
+    },
+  },
+  pl: {
+    decimal: ',',
+    group: 'space',
+    words: {
+      point: 'przecinek', minus: 'minus', and: 'i', dot: 'kropka', at: 'małpa', slash: 'ukośnik', plus: 'plus',
+      question: 'znak zapytania', equals: 'równa się', amp: 'i', hash: 'kratka',
+    },
+    dateOrder: 'dmy',
+    date: ({ day, month, year }) => `${day} ${month}${year ? ` ${year}` : ''}`,
+    time: (h, m, suffix, spell) => `${spell.cardinal(h)}${m ? ` ${spell.cardinal(m)}` : ''}`,
+    // jedna trzecia, dwie trzecie, pięć szóstych
+    fraction: (n, d, spell) => `${spell.cardinal(n, { gender: 'f' })} ${pluralForm('pl', n, {
+      one: PL_FRACTIONS.one[d - 2], few: PL_FRACTIONS.few[d - 2], many: PL_FRACTIONS.many[d - 2], other: PL_FRACTIONS.many[d - 2],
+    })}`,
+    currencies: {
+      USD: { major: noun({ one: 'dolar', few: 'dolary', many: 'dolarów', other: 'dolara' }, 'm'), minor: noun({ one: 'cent', few: 'centy', many: 'centów', other: 'centa' }, 'm') },
+      EUR: { major: noun({ one: 'euro', other: 'euro' }, 'n'), minor: noun({ one: 'cent', few: 'centy', many: 'centów', other: 'centa' }, 'm') },
+      GBP: { major: noun({ one: 'funt', few: 'funty', many: 'funtów', other: 'funta' }, 'm'), minor: noun({ one: 'pens', few: 'pensy', many: 'pensów', other: 'pensa' }, 'm') },
+      PLN: { major: noun({ one: 'złoty', few: 'złote', many: 'złotych', other: 'złotego' }, 'm'), minor: noun({ one: 'grosz', few: 'grosze', many: 'groszy', other: 'grosza' }, 'm') },
+    },
+    units: {
+      km: noun({ one: 'kilometr', few: 'kilometry', many: 'kilometrów', other: 'kilometra' }, 'm'),
+      m: noun({ one: 'metr', few: 'metry', many: 'metrów', other: 'metra' }, 'm'),
+      cm: noun({ one: 'centymetr', few: 'centymetry', many: 'centymetrów', other: 'centymetra' }, 'm'),
+      mm: noun({ one: 'milimetr', few: 'milimetry', many: 'milimetrów', other: 'milimetra' }, 'm'),
+      kg: noun({ one: 'kilogram', few: 'kilogramy', many: 'kilogramów', other: 'kilograma' }, 'm'),
+      g: noun({ one: 'gram', few: 'gramy', many: 'gramów', other: 'grama' }, 'm'),
+      mg: noun({ one: 'miligram', few: 'miligramy', many: 'miligramów', other: 'miligrama' }, 'm'),
+      l: noun({ one: 'litr', few: 'litry', many: 'litrów', other: 'litra' }, 'm'),
+      ml: noun({ one: 'mililitr', few: 'mililitry', many: 'mililitrów', other: 'mililitra' }, 'm'),
+      'km/h': noun({ one: 'kilometr na godzinę', few: 'kilometry na godzinę', many: 'kilometrów na godzinę', other: 'kilometra na godzinę' }, 'm'),
+      mph: noun({ one: 'mila na godzinę', few: 'mile na godzinę', many: 'mil na godzinę', other: 'mili na godzinę' }, 'f'),
+      '%': noun({ one: 'procent', few: 'procent', many: 'procent', other: 'procentu' }, 'm'),
+      '°C': noun({ one: 'stopień Celsjusza', few: 'stopnie Celsjusza', many: 'stopni Celsjusza', other: 'stopnia Celsjusza' }, 'm'),
+      '°F': noun({ one: 'stopień Fahrenheita', few: 'stopnie Fahrenheita', many: 'stopni Fahrenheita', other: 'stopnia Fahrenheita' }, 'm'),
+      min: noun({ one: 'minuta', few: 'minuty', many: 'minut', other: 'minuty' }, 'f'),
+      GB: noun({ one: 'gigabajt', few: 'gigabajty', many: 'gigabajtów', other: 'gigabajta' }, 'm'),
+      MB: noun({ one: 'megabajt', few: 'megabajty', many: 'megabajtów', other: 'megabajta' }, 'm'),
+    },
+    titles: { 'dr': 'doktor', 'prof.': 'profesor', 'inż.': 'inżynier' },
+    abbreviations: {
+      'np.': 'na przykład', 'itd.': 'i tak dalej', 'itp.': 'i tym podobne', 'tzn.': 'to znaczy', 'ok.': 'około',
+      'ul.': 'ulica', 'nr': 'numer', 'godz.': 'godzina', 'tj.': 'to jest', 'm.in.': 'między innymi',
+    },
+  },
+};
+
+// Russian texts write unit symbols in Cyrillic
+for (const [latin, cyrillic] of Object.entries({
+  km: 'км', m: 'м', cm: 'см', mm: 'мм', kg: 'кг', g: 'г', mg: 'мг', l: 'л', ml: 'мл', 'km/h': 'км/ч', min: 'мин', GB: 'ГБ', MB: 'МБ',
+})) {
+  RULES.ru.units[cyrillic] = RULES.ru.units[latin];
+}
+
+// British English: day-month order and "the fourteenth of March"
+RULES['en-gb'] = {
+  ...RULES.en,
+  dateOrder: 'dmy',
+  date: ({ day, month, year }) => `the ${day} of ${month}${year ? ` ${year}` : ''}`,
+};
+
+// Symbols and codes -> ISO currency; "kr" is the local krone/krona
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', 'R$': 'BRL', $: 'USD', '€': 'EUR', '£': 'GBP', '₽': 'RUB', 'zł': 'PLN', kr: 'SEK',
+  USD: 'USD', EUR: 'EUR', GBP: 'GBP', BRL: 'BRL', SEK: 'SEK', DKK: 'DKK', PLN: 'PLN', RUB: 'RUB',
+};
+const LOCAL_SYMBOLS = { da: { kr: 'DKK' } };
+
+function splitLocale(locale) {
+  const [lang = '', region = ''] = String(locale || '').toLowerCase().split(/[_-]/);
+  return { lang, region };
+}
+
+function localeRules(locale) {
+  const { lang, region } = splitLocale(locale);
+  return RULES[`${lang}-${region}`] || RULES[lang] || null;
+}
+
+function isSupported(locale) {
+  return Boolean(localeRules(locale) && speller(locale));
+}
+
+// Piper voice names start with their locale: en_US-lessac-medium -> en_US
+function voiceLocale(voice) {
+  return String(voice || config.voice || 'en_US').split('-')[0];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// ——— Emojis ———
+
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*)*/gu;
+const EMOJI_DATA_LOCALES = ['da', 'de', 'en', 'en-gb', 'es', 'fr', 'it', 'nl', 'pl', 'pt', 'ru', 'sv'];
+const emojiNames = new Map();
+
+function emojiKey(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+// Emoji -> CLDR short name in the voice language, loaded on first use
+function emojiNameTable(locale) {
+  const { lang, region } = splitLocale(locale);
+  const dataLocale = [`${lang}-${region}`, lang].find((l) => EMOJI_DATA_LOCALES.includes(l)) || 'en';
+  if (!emojiNames.has(dataLocale)) {
+    const table = new Map();
+    for (const entry of require(`emojibase-data/${dataLocale}/compact.json`)) {
+      table.set(emojiKey(entry.unicode), entry.label);
+      for (const skin of entry.skins || []) table.set(emojiKey(skin.unicode), skin.label);
+    }
+    emojiNames.set(dataLocale, table);
+  }
+  return emojiNames.get(dataLocale);
+}
+
+function replaceEmojis(text, locale, mode) {
+  const table = mode === 'names' ? emojiNameTable(locale) : null;
+  return text
+    .replace(EMOJI_PATTERN, (emoji) => {
+      const name = table?.get(emojiKey(emoji));
+      // CLDR names qualify with a colon: "thumbs up: medium skin tone"
+      return name ? ` ${name.replace(/:/g, ',')} ` : ' ';
+    })
+    .replace(/[\uFE0F\u200D]/g, '');
+}
+
+// ——— Numbers ———
+
+function numberPattern(rules) {
+  const group = rules.group === 'space' ? '[ \\u00A0\\u202F]' : escapeRegExp(rules.group);
+  return `(\\d{1,3}(?:${group}\\d{3})+(?!\\d)|\\d+)(?:${escapeRegExp(rules.decimal)}(\\d+))?`;
+}
+
+function parseNumber(integer, fraction) {
+  const digits = integer.replace(/\D/g, '');
+  return { digits, fraction: fraction || '', value: Number(`${digits}.${fraction || 0}`) };
+}
+
+// "3.14" -> three point one four; short fractions without a leading zero are read as a number
+function readNumber(spell, rules, { digits, fraction }, options) {
+  const whole = spellInteger(spell, digits, fraction ? {} : options);
+  if (!fraction) return whole;
+  const tail = fraction.length <= 2 && !fraction.startsWith('0')
+    ? spell.cardinal(Number(fraction))
+    : spellDigits(spell, fraction);
+  return `${whole} ${rules.words.point} ${tail}`;
+}
+
+function readQuantity(spell, rules, lang, number, entry) {
+  const form = pluralForm(lang, number.fraction ? number.value : Number(number.digits), entry.forms);
+  return `${readNumber(spell, rules, number, { gender: entry.gender })} ${form}`;
+}
+
+// ——— Pipeline steps ———
+
+// A URL component as words: percent-escapes decoded, "+" and "-"/"_" runs read as spaces
+function urlWords(part) {
+  let decoded = part.replace(/\+/g, ' ');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // malformed escapes are read as written
+  }
+  return decoded.replace(/[-_]+/g, ' ');
+}
+
+function replaceUrls(text, rules) {
+  const { dot, at, slash, question, equals, amp, hash } = rules.words;
+  return text
+    .replace(/\b[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g, (email) => {
+      const [local, domain] = email.split('@');
+      return `${local.split('.').join(` ${dot} `)} ${at} ${domain.split('.').join(` ${dot} `)}`;
+    })
+    .replace(/\b(?:https?:\/\/|www\.)[^\s<>"]+/gi, (url) => {
+      // sentence punctuation after the URL stays in the text
+      const trailing = /[.,;:!?)]*$/.exec(url)[0];
+      const bare = url.slice(0, url.length - trailing.length)
+        .replace(/^https?:\/\//i, '')
+        .replace(/^www\./i, '');
+      const [, address, query, fragment] = /^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(bare);
+      const [host, ...path] = address.split('/');
+      const spoken = [host.split('.').join(` ${dot} `), ...path.filter(Boolean).map(urlWords)];
+      let result = spoken.join(` ${slash} `);
+      // ?q=text+to+speech&lang=en -> question mark q equals text to speech and lang equals en
+      const params = (query || '').split('&').filter(Boolean);
+      if (params.length) {
+        result += ` ${question} ${params.map((param) => param.split('=').map(urlWords).join(` ${equals} `)).join(` ${amp} `)}`;
+      }
+      if (fragment) result += ` ${hash} ${urlWords(fragment)}`;
+      return result + trailing;
+    });
+}
+
+function replaceAbbreviations(text, rules) {
+  let result = text;
+  const expand = (table, keepPeriod) => {
+    // longest first, so "p. ex." wins over "ex."
+    for (const abbreviation of Object.keys(table).sort((a, b) => b.length - a.length)) {
+      const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(abbreviation)}(?![\\p{L}])`, 'gu');
+      result = result.replace(pattern, (match, before, offset, whole) => {
+        const after = whole.slice(offset + match.length);
+        // a phrase abbreviation that ends the sentence keeps its full stop
+        const endsSentence = keepPeriod && abbreviation.endsWith('.') && /^\s*($|\p{Lu})/u.test(after);
+        return `${before}${table[abbreviation]}${endsSentence ? '.' : ''}`;
+      });
+    }
+  };
+  expand(rules.titles || {}, false);
+  expand(rules.abbreviations || {}, true);
+  return result;
+}
+
+function monthName(bcp47, month, day) {
+  const parts = new Intl.DateTimeFormat(bcp47, { day: 'numeric', month: 'long', timeZone: 'UTC' })
+    .formatToParts(new Date(Date.UTC(2000, month - 1, day)));
+  return parts.find((part) => part.type === 'month').value;
+}
+
+function readDate(spell, rules, bcp47, { day, month, year }, before) {
+  let dayWord = spell.day(day);
+  if (rules.dative && rules.dative.test(before)) dayWord += 'n';
+  return rules.date({
+    day: dayWord,
+    month: monthName(bcp47, month, day),
+    year: year === null ? null : spell.year(year),
+  });
+}
+
+function replaceDates(text, spell, rules, bcp47) {
+  const valid = (day, month) => month >= 1 && month <= 12 && day >= 1 && day <= 31;
+  return text
+    // ISO 8601
+    .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, y, m, d, offset, whole) => {
+      const date = { day: Number(d), month: Number(m), year: Number(y) };
+      return valid(date.day, date.month) ? readDate(spell, rules, bcp47, date, whole.slice(0, offset)) : match;
+    })
+    .replace(/\b(\d{1,2})([./-])(\d{1,2})\2(\d{4}|\d{2})\b/g, (match, a, sep, b, y, offset, whole) => {
+      const [day, month] = rules.dateOrder === 'mdy' ? [Number(b), Number(a)] : [Number(a), Number(b)];
+      if (!valid(day, month)) return match;
+      const year = y.length === 2 ? (Number(y) < 50 ? 2000 : 1900) + Number(y) : Number(y);
+      return readDate(spell, rules, bcp47, { day, month, year }, whole.slice(0, offset));
+    });
+}
+
+function replaceTimes(text, spell, rules) {
+  const pattern = /\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?(?:\s?([ap])\.?\s?m\.?(?![\p{L}]))?/giu;
+  const result = text.replace(pattern, (match, h, m, suffix) => {
+    let hour = Number(h);
+    if (suffix && (hour < 1 || hour > 12)) return match;
+    if (suffix && hour === 0) hour = 12;
+    return rules.time(hour, Number(m), suffix ? suffix.toLowerCase() : null, spell);
+  });
+  // the locale's own clock notation, e.g. French 14h30
+  if (!rules.clock) return result;
+  return result.replace(rules.clock, (match, h, m) => rules.time(Number(h), Number(m || 0), null, spell));
+}
+
+// Phone numbers digit by digit, with a pause between groups: +1 (555) 123-4567, 555-1234, +49 30 1234567
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{3}[.-])?\b\d{3}-\d{4}\b|\+\d{1,3}(?:[\s.-]?\d{2,4}){2,5}\b/g;
+
+function replacePhoneNumbers(text, spell, rules) {
+  return text.replace(PHONE_PATTERN, (number) => {
+    const groups = number.match(/\d+/g).map((digits) => spellDigits(spell, digits));
+    return `${number.startsWith('+') ? `${rules.words.plus} ` : ''}${groups.join(', ')}`;
+  });
+}
+
+// Version numbers and IP addresses: 1.2.3 -> one dot two dot three. Where "." groups thousands,
+// 1.234.567 stays a number unless it reads as an IPv4 address.
+function replaceDottedNumbers(text, spell, rules) {
+  return text.replace(/(?<![\d.,])\d+(?:\.\d+){2,}(?!\.?\d)/g, (match) => {
+    const parts = match.split('.');
+    const grouped = rules.group === '.' && parts[0].length <= 3 && parts.slice(1).every((part) => part.length === 3);
+    const ipv4 = parts.length === 4 && parts.every((part) => Number(part) <= 255);
+    if (grouped && !ipv4) return match;
+    return parts.map((part) => spellInteger(spell, part)).join(` ${rules.words.dot} `);
+  });
+}
+
+// 1/2, 3/4: numerator below a denominator of at most 10, so 24/7 and paths are left alone
+function replaceFractions(text, spell, rules) {
+  if (!rules.fraction) return text;
+  return text.replace(/(?<![\d/.,])(\d)\/(\d{1,2})(?![\d/])/g, (match, n, d) => {
+    const [numerator, denominator] = [Number(n), Number(d)];
+    if (numerator < 1 || numerator >= denominator || denominator > 10) return match;
+    return rules.fraction(numerator, denominator, spell);
+  });
+}
+
+function replaceCurrencies(text, spell, rules, lang) {
+  const symbols = { ...CURRENCY_SYMBOLS, ...(LOCAL_SYMBOLS[lang] || {}) };
+  const alternatives = Object.keys(symbols).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const group = rules.group === 'space' ? '[ \\u00A0\\u202F]' : escapeRegExp(rules.group);
+  // Prices take either separator in front of exactly two decimals, whatever the locale
+  const amount = `(\\d{1,3}(?:${group}\\d{3})+(?!\\d)|\\d+)(?:[.,](\\d{2}))?(?!\\d)`;
+
+  const read = (symbol, integer, cents) => {
+    const code = symbols[symbol];
+    const currency = rules.currencies[code];
+    const major = Number(integer.replace(/\D/g, ''));
+    const minor = cents ? Number(cents) : 0;
+    if (!currency) return `${readNumber(spell, rules, parseNumber(integer, cents), {})} ${code}`;
+    const parts = [];
+    if (major || !minor) {
+      parts.push(`${spellInteger(spell, String(major), { gender: currency.major.gender })} ${pluralForm(lang, major, currency.major.forms)}`);
+    }
+    if (minor) {
+      parts.push(`${spell.cardinal(minor, { gender: currency.minor.gender })} ${pluralForm(lang, minor, currency.minor.forms)}`);
+    }
+    return parts.join(rules.words.and ? ` ${rules.words.and} ` : ' ');
+  };
+
+  return text
+    .replace(new RegExp(`(${alternatives})\\s?${amount}`, 'gu'), (match, symbol, integer, cents, offset, whole) => {
+      // "kr" and the ISO codes must not be the tail of a word
+      if (/\p{L}$/u.test(whole.slice(0, offset)) && /^\p{L}/u.test(symbol)) return match;
+      return read(symbol, integer, cents);
+    })
+    .replace(new RegExp(`${amount}\\s?(${alternatives})(?![\\p{L}])`, 'gu'), (match, integer, cents, symbol) => read(symbol, integer, cents));
+}
+
+function replaceUnits(text, spell, rules, lang) {
+  const units = Object.keys(rules.units).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(^|[^\\d\\p{L}])([-−])?${numberPattern(rules)}\\s?(${units})(?![\\p{L}\\d])`, 'gu');
+  return text.replace(pattern, (match, before, sign, integer, fraction, unit) => {
+    const spoken = readQuantity(spell, rules, lang, parseNumber(integer, fraction), rules.units[unit]);
+    return `${before}${sign ? `${rules.words.minus} ` : ''}${spoken}`;
+  });
+}
+
+function replaceOrdinals(text, spell, rules) {
+  if (!rules.ordinals) return text;
+  return text.replace(rules.ordinals.pattern, (match, n, suffix) => rules.ordinals.read(Number(n), suffix, spell));
+}
+
+function replaceDecades(text, spell, rules) {
+  if (!rules.decades) return text;
+  return text.replace(rules.decades.pattern, (match, century, decade) => {
+    const words = century ? spell.year(Number(`${century}${decade}`)) : spell.cardinal(Number(decade));
+    return rules.decades.read(words);
+  });
+}
+
+// Four-digit numbers from 1100 to 2099 standing alone read as years ("in 1905"); amounts written
+// with a group separator (1,905) or a decimal part are still read as numbers
+function replaceYears(text, spell) {
+  // 1990-2000: spaced, so the hyphen does not join the readings into "ninety-two thousand"
+  const ranges = text.replace(/\b((?:1[1-9]|20)\d\d)[-–]((?:1[1-9]|20)\d\d)\b/g, '$1 – $2');
+  return ranges.replace(/(^|[^\d\p{L}.,:/])(1[1-9]\d\d|20\d\d)(?![\d\p{L}]|[.,]\d)/gu, (match, before, year) => {
+    return `${before}${spell.year(Number(year))}`;
+  });
+}
+
+function replaceNumbers(text, spell, rules) {
+  const pattern = new RegExp(`(^|[^\\d\\p{L}])([-−](?=\\d))?${numberPattern(rules)}(?!\\d)`, 'gu');
+  return text.replace(pattern, (match, before, sign, integer, fraction) => {
+    // a minus sign only at the start of a word, so ranges like 10-20 keep their dash
+    const negative = sign && (!before || /\s|\(/.test(before));
+    const spoken = readNumber(spell, rules, parseNumber(integer, fraction), {});
+    return `${before}${sign && !negative ? sign : ''}${negative ? `${rules.words.minus} ` : ''}${spoken}`;
+  });
+}
+
+// Rewrite text for Piper in the given locale ("en_US", "de_DE", ...). options.normalize (default
+// config.ttsNormalize !== false) turns the language rules on; options.emoji is 'strip' or 'names'.
+// Locales without rules only get the emoji handling.
+function normalizeForSpeech(text, locale, options = {}) {
+  const normalize = options.normalize ?? config.ttsNormalize !== false;
+  const emoji = options.emoji || config.ttsEmoji || 'strip';
+  let result = replaceEmojis(String(text ?? ''), locale, emoji);
+
+  const rules = localeRules(locale);
+  const spell = speller(locale);
+  if (normalize && rules && spell) {
+    const { lang, region } = splitLocale(locale);
+    const bcp47 = region ? `${lang}-${region.toUpperCase()}` : lang;
+    result = replaceUrls(result, rules);
+    result = replaceAbbreviations(result, rules);
+    result = replacePhoneNumbers(result, spell, rules);
+    result = replaceDates(result, spell, rules, bcp47);
+    result = replaceTimes(result, spell, rules);
+    result = replaceDottedNumbers(result, spell, rules);
+    result = replaceFractions(result, spell, rules);
+    result = replaceCurrencies(result, spell, rules, lang);
+    result = replaceUnits(result, spell, rules, lang);
+    result = replaceOrdinals(result, spell, rules);
+    result = replaceDecades(result, spell, rules);
+    result = replaceYears(result, spell);
+    result = replaceNumbers(result, spell, rules);
+    result = result.replace(/\s&\s/g, ` ${rules.words.and || 'и'} `);
+  }
+  return result.replace(/[ \t]+/g, ' ').replace(/ +([,.;:!?])/g, '$1').trim();
+}
+
+module.exports = {
+  EMOJI_MODES,
+  normalizeForSpeech,
+  voiceLocale,
+  isSupported,
+};
@@ -0,0 +1,149 @@
+const { config, timezone } = require("./config");
+const { httpError } = require('./errors');
+const { listVoices } = require('./voices');
+
+// Spoken sentence per voice language; anything else falls back to English
+const TIME_PHRASES = {
+  en: (time, place) => `It is ${time} in ${place}.`,
+  de: (time, place) => `Es ist ${time} in ${place}.`,
+  es: (time, place) => `${place}: son las ${time}.`,
+  fr: (time, place) => `${place} : il est ${time}.`,
+  sv: (time, place) => `Klockan är ${time} i ${place}.`,
+  nl: (time, place) => `Het is ${time} in ${place}.`,
+  da: (time, place) => `Klokken er ${time} i ${place}.`,
+  it: (time, place) => `In ${place} sono le ${time}.`,
+  ru: (time, place) => `${place}: сейчас ${time}.`,
+  pt: (time, place) => `Em ${place} são ${time}.`,
+  pl: (time, place) => `${place}: jest godzina ${time}.`,
+};
+
+function isValidZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Entries from timezone.json matching a country code, IANA zone or free-text country/city name
+function findZones({ country, zone }) {
+  if (zone) {
+    const wanted = String(zone).toLowerCase();
+    const matches = timezone.filter((entry) => entry.timeZone.toLowerCase() === wanted);
+    if (matches.length) return matches;
+    if (isValidZone(zone)) return [{ CountryCode: null, countryName: null, timeZone: zone, GMTOffset: null }];
+    return [];
+  }
+
+  const query = String(country || '').trim().toLowerCase();
+  if (!query) return [];
+  if (/^[a-z]{2}$/.test(query)) {
+    const byCode = timezone.filter((entry) => entry.CountryCode.toLowerCase() === query);
+    if (byCode.length) return byCode;
+  }
+  const exact = timezone.filter((entry) => entry.countryName.toLowerCase() === query);
+  if (exact.length) return exact;
+  return timezone.filter((entry) => entry.countryName.toLowerCase().includes(query));
+}
+
+// Offset in minutes east of UTC for a zone at a given instant
+function offsetMinutes(zone, date) {
+  const label = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(label);
+  if (!match) return 0;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function localParts(zone, date) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const part of formatter.formatToParts(date)) parts[part.type] = part.value;
+  return parts;
+}
+
+// DST is in effect when the zone has two offsets this year and we are on the larger one
+function zoneTime(zone, date = new Date()) {
+  const offset = offsetMinutes(zone, date);
+  const year = date.getUTCFullYear();
+  const january = offsetMinutes(zone, new Date(Date.UTC(year, 0, 1)));
+  const july = offsetMinutes(zone, new Date(Date.UTC(year, 6, 1)));
+  const p = localParts(zone, date);
+
+  return {
+    timeZone: zone,
+    localTime: `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${formatOffset(offset)}`,
+    utcOffset: `UTC${formatOffset(offset)}`,
+    utcOffsetMinutes: offset,
+    dst: january !== july && offset === Math.max(january, july),
+  };
+}
+
+function lookupTime(query, date = new Date()) {
+  if (!query.country && !query.zone) {
+    throw httpError(400, 'Provide a country (code or name) or an IANA zone');
+  }
+  const zones = findZones(query);
+  if (!zones.length) {
+    throw httpError(404, `No time zone found for ${query.zone || query.country}`);
+  }
+  return zones.map((entry) => ({
+    countryCode: entry.CountryCode,
+    countryName: entry.countryName,
+    ...zoneTime(entry.timeZone, date),
+  }));
+}
+
+// Installed voice for the country's main language, preferring the exact locale
+function voiceForCountry(countryCode) {
+  const installed = listVoices({ installed: true });
+  if (countryCode) {
+    const language = new Intl.Locale('und', { region: countryCode }).maximize().language;
+    const exact = installed.find((voice) => voice.locale === `${language}_${countryCode}`);
+    if (exact) return exact;
+    const sameLanguage = installed.find((voice) => voice.languageCode === language);
+    if (sameLanguage) return sameLanguage;
+  }
+  return installed.find((voice) => voice.name === config.voice) || installed[0] || null;
+}
+
+function spokenTime(result, voice, date = new Date()) {
+  const language = voice ? voice.languageCode : 'en';
+  const phrase = TIME_PHRASES[language] || TIME_PHRASES.en;
+  const locale = voice && TIME_PHRASES[language] ? voice.locale.replace('_', '-') : 'en-US';
+  const time = new Intl.DateTimeFormat(locale, {
+    timeZone: result.timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(date);
+
+  let place = result.timeZone.split('/').pop().replace(/_/g, ' ');
+  if (result.countryCode) {
+    try {
+      place = new Intl.DisplayNames([locale], { type: 'region' }).of(result.countryCode) || place;
+    } catch {
+      // keep the city from the zone name
+    }
+  }
+  return phrase(time, place);
+}
+
+module.exports = { lookupTime, zoneTime, voiceForCountry, spokenTime };
@@ -0,0 +1,158 @@
+// Shared transcript model: { text, segments: [{ start, end, text, words: [{ word, start, end }] }] }
+// Times are in seconds; engines that cannot time their output report one untimed segment.
+
+const FORMATS = ['text', 'json', 'srt', 'vtt'];
+
+function round(seconds) {
+  return Math.round(Number(seconds) * 1000) / 1000;
+}
+
+function createTranscript(segments) {
+  const cleaned = segments.filter((segment) => segment.text);
+  return {
+    text: cleaned.map((segment) => segment.text).join(' ').trim(),
+    segments: cleaned,
+  };
+}
+
+function fromText(text, duration = 0) {
+  const trimmed = String(text || '').trim();
+  return createTranscript([{ start: 0, end: round(duration), text: trimmed, words: [] }]);
+}
+
+// Vosk utterance results, as returned by rec.result()/finalResult() with setWords(true)
+function fromVoskResults(results) {
+  const segments = [];
+  for (const result of results) {
+    const alternative = result?.alternatives?.[0] ?? result;
+    const text = alternative?.text?.trim();
+    if (!text) continue;
+    const words = (alternative.result || []).map((w) => ({
+      word: w.word,
+      start: round(w.start),
+      end: round(w.end),
+    }));
+    segments.push({
+      start: words.length ? words[0].start : 0,
+      end: words.length ? words[words.length - 1].end : 0,
+      text,
+      words,
+      ...(typeof alternative.confidence === 'number' ? { confidence: alternative.confidence } : {}),
+    });
+  }
+  return createTranscript(segments);
+}
+
+// OpenAI verbose_json: top-level segments and (optionally) top-level words
+function fromOpenAiVerbose(result, duration = 0) {
+  const text = String(result?.text ?? result?.transcript ?? result?.transcription ?? '').trim();
+  if (!Array.isArray(result?.segments) || !result.segments.length) {
+    return fromText(text, result?.duration ?? duration);
+  }
+  const words = Array.isArray(result.words) ? result.words : [];
+  const segments = result.segments.map((segment) => {
+    const start = round(segment.start);
+    const end = round(segment.end);
+    const segmentWords = (segment.words || words.filter((w) => w.start >= start && w.start < end))
+      .map((w) => ({ word: String(w.word).trim(), start: round(w.start), end: round(w.end) }));
+    return { start, end, text: String(segment.text || '').trim(), words: segmentWords };
+  });
+  return createTranscript(segments);
+}
+
+function parseTimestamp(value) {
+  const match = /(\d+):(\d{2}):(\d{2})[,.](\d{3})/.exec(value);
+  if (!match) return null;
+  const [, h, m, s, ms] = match.map(Number);
+  return h * 3600 + m * 60 + s + ms / 1000;
+}
+
+// SRT (or WebVTT) cues; returns null when the text contains no cues
+function parseSubtitles(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const segments = [];
+  let current = null;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const timing = /^(\S+)\s+-->\s+(\S+)/.exec(trimmed);
+    if (timing) {
+      current = { start: round(parseTimestamp(timing[1])), end: round(parseTimestamp(timing[2])), lines: [] };
+      segments.push(current);
+      continue;
+    }
+    if (!trimmed) {
+      current = null;
+      continue;
+    }
+    if (current) current.lines.push(trimmed);
+  }
+
+  if (!segments.length) return null;
+  return createTranscript(segments.map((segment) => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.lines.join(' ').trim(),
+    words: [],
+  })));
+}
+
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(Number(seconds || 0) * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+function toSrt(transcript) {
+  return transcript.segments
+    .map((segment, i) => `${i + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${segment.text}\n`)
+    .join('\n');
+}
+
+function toVtt(transcript) {
+  const cues = transcript.segments
+    .map((segment) => `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${segment.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${cues}`;
+}
+
+// Segments moved later by offset seconds, for transcripts of a slice of the audio
+function offsetSegments(segments, offset) {
+  return segments.map((segment) => ({
+    ...segment,
+    start: round(segment.start + offset),
+    end: round(segment.end + offset),
+    words: (segment.words || []).map((w) => ({ ...w, start: round(w.start + offset), end: round(w.end + offset) })),
+  }));
+}
+
+// Seconds of audio a transcript covers: the decoded duration when known, else the last segment end
+function transcriptDuration(transcript) {
+  if (!transcript) return 0;
+  return transcript.duration ?? transcript.segments?.at(-1)?.end ?? 0;
+}
+
+// Render a transcript for a non-JSON response format
+function formatTranscript(transcript, format) {
+  if (format === 'srt') return { contentType: 'application/x-subrip', body: toSrt(transcript) };
+  if (format === 'vtt') return { contentType: 'text/vtt', body: toVtt(transcript) };
+  return { contentType: 'text/plain', body: transcript.text };
+}
+
+module.exports = {
+  FORMATS,
+  createTranscript,
+  fromText,
+  fromVoskResults,
+  fromOpenAiVerbose,
+  parseSubtitles,
+  offsetSegments,
+  transcriptDuration,
+  formatTranscript,
+  toSrt,
+  toVtt,
+};
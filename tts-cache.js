@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require("./config");
+
+// Content-addressed store of rendered speech: <key>.<ext> plus a <key>.json metadata sidecar
+const entries = new Map();
+let loaded = null;
+
+function cacheDir() {
+  return config.ttsCacheDir || 'tts_cache';
+}
+
+function maxBytes() {
+  const value = Number(config.ttsCacheMaxBytes);
+  return Number.isFinite(value) && value >= 0 ? value : 512 * 1024 * 1024;
+}
+
+function isEnabled() {
+  return config.ttsCache !== false && maxBytes() > 0;
+}
+
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Hash of everything that changes the rendered audio
+function cacheKey({ text, voice, params, profanity, ssml }) {
+  const material = JSON.stringify({
+    text: normalizeText(text),
+    voice,
+    ssml: Boolean(ssml),
+    profanity,
+    format: params.format,
+    sampleRate: params.sampleRate,
+    speaker: params.speaker,
+    normalize: params.normalize,
+    emoji: params.emoji,
+    longform: params.longform
+      ? { sentencePauseMs: params.longform.sentencePauseMs, paragraphPauseMs: params.longform.paragraphPauseMs }
+      : null,
+    piper: Object.keys(params.piper || {}).sort().map((k) => [k, params.piper[k]]),
+    // left out for Piper so keys from before engines were pluggable stay valid
+    engine: params.engine && params.engine !== 'piper' ? { name: params.engine, options: params.options } : undefined,
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+async function loadIndex() {
+  await fs.mkdir(cacheDir(), { recursive: true });
+  const files = await fs.readdir(cacheDir());
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(cacheDir(), file), 'utf-8'));
+      const stat = await fs.stat(path.join(cacheDir(), meta.file));
+      // mtime is bumped on every hit, so it doubles as the persisted last-access time
+      entries.set(meta.key, { ...meta, size: stat.size, lastAccess: stat.mtimeMs });
+    } catch {
+      await fs.remove(path.join(cacheDir(), file));
+    }
+  }
+  await evict();
+}
+
+function ready() {
+  if (!loaded) loaded = loadIndex();
+  return loaded;
+}
+
+function totalBytes() {
+  let total = 0;
+  for (const entry of entries.values()) total += entry.size;
+  return total;
+}
+
+async function removeEntry(entry) {
+  entries.delete(entry.key);
+  await fs.remove(path.join(cacheDir(), entry.file));
+  await fs.remove(path.join(cacheDir(), `${entry.key}.json`));
+}
+
+// Drop least recently used entries until the cache fits its size limit
+async function evict() {
+  const limit = maxBytes();
+  if (totalBytes() <= limit) return;
+  const byAge = [...entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+  for (const entry of byAge) {
+    if (totalBytes() <= limit) break;
+    await removeEntry(entry);
+  }
+}
+
+function describe(entry) {
+  return { ...entry, path: path.join(cacheDir(), entry.file) };
+}
+
+async function getCached(key) {
+  if (!isEnabled()) return null;
+  await ready();
+  const entry = entries.get(key);
+  if (!entry) return null;
+  const filePath = path.join(cacheDir(), entry.file);
+  const now = new Date();
+  try {
+    await fs.utimes(filePath, now, now);
+  } catch {
+    entries.delete(key);
+    return null;
+  }
+  entry.lastAccess = now.getTime();
+  entry.hits = (entry.hits || 0) + 1;
+  return describe(entry);
+}
+
+// Move a rendered file into the cache; meta carries contentType, headers and a text preview
+async function putCached(key, sourcePath, meta) {
+  await ready();
+  const file = `${key}${path.extname(sourcePath) || '.bin'}`;
+  const target = path.join(cacheDir(), file);
+  await fs.copy(sourcePath, target);
+  const stat = await fs.stat(target);
+  const entry = {
+    key,
+    file,
+    size: stat.size,
+    contentType: meta.contentType,
+    headers: meta.headers || {},
+    voice: meta.voice,
+    text: String(meta.text || '').slice(0, 200),
+    createdAt: new Date().toISOString(),
+    lastAccess: Date.now(),
+    hits: 0,
+  };
+  const { lastAccess, hits, size, ...sidecar } = entry;
+  await fs.writeFile(path.join(cacheDir(), `${key}.json`), JSON.stringify(sidecar, null, 2));
+  entries.set(key, entry);
+  await evict();
+  return entries.has(key) ? describe(entry) : null;
+}
+
+async function listCached() {
+  await ready();
+  return [...entries.values()]
+    .sort((a, b) => b.lastAccess - a.lastAccess)
+    .map(({ headers, ...entry }) => ({ ...entry, lastAccess: new Date(entry.lastAccess).toISOString() }));
+}
+
+async function cacheStats() {
+  await ready();
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    totalBytes: totalBytes(),
+    maxBytes: maxBytes(),
+  };
+}
+
+// Purge one entry by key, or everything when no key is given; returns the number removed
+async function purgeCached(key) {
+  await ready();
+  const targets = key ? [entries.get(key)].filter(Boolean) : [...entries.values()];
+  for (const entry of targets) await removeEntry(entry);
+  return targets.length;
+}
+
+module.exports = {
+  cacheKey,
+  isEnabled,
+  getCached,
+  putCached,
+  listCached,
+  cacheStats,
+  purgeCached,
+};
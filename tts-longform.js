@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const { randomUUID } = require('crypto');
+const { config } = require("./config");
+const { httpError } = require('./errors');
+const { getEngine } = require('./engines');
+const { decodeAudioFile, encodeWav } = require('./audio');
+const { OUTPUT_FORMATS, spawnEncoder, synthesisHeaders } = require('./tts-output');
+const { normalizeForSpeech, voiceLocale } = require('./text-normalize');
+const logger = console;
+
+// Long texts are split into sentences, rendered a few at a time and stitched with pauses
+const DEFAULTS = {
+  autoChars: 0, // when set, plain text this long uses long-form mode unless longform=false; 0 = only on request
+  sentencePauseMs: 300,
+  paragraphPauseMs: 800,
+  maxSegmentChars: 400, // longer sentences are cut at a clause or word boundary
+  concurrency: 2,
+};
+const MAX_PAUSE_MS = 5000;
+
+function longformSettings() {
+  const settings = { ...DEFAULTS, ...(config.longform || {}) };
+  for (const key of ['autoChars', 'sentencePauseMs', 'paragraphPauseMs', 'maxSegmentChars']) {
+    settings[key] = Number.isFinite(Number(settings[key])) ? Number(settings[key]) : DEFAULTS[key];
+  }
+  settings.maxSegmentChars = Math.max(50, settings.maxSegmentChars);
+  settings.concurrency = Math.max(1, parseInt(settings.concurrency, 10) || DEFAULTS.concurrency);
+  return settings;
+}
+
+function parsePause(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0 || ms > MAX_PAUSE_MS) {
+    throw httpError(400, `Invalid ${name}: expected milliseconds between 0 and ${MAX_PAUSE_MS}`);
+  }
+  return ms;
+}
+
+// Long-form settings for a /tts body, or null for a single Piper call. Long-form is opt-in with
+// longform=true (or config.longform.autoChars). Streaming always renders segment by segment.
+function parseLongformParams(body = {}) {
+  const settings = longformSettings();
+  const text = String(body.text || '');
+  const stream = String(body.stream) === 'true';
+  const requested = body.longform === undefined || body.longform === ''
+    ? settings.autoChars > 0 && text.length >= settings.autoChars
+    : String(body.longform).toLowerCase() === 'true';
+  if (!requested && !stream) return null;
+  return {
+    stream,
+    sentencePauseMs: parsePause('sentencePause', body.sentencePause, settings.sentencePauseMs),
+    paragraphPauseMs: parsePause('paragraphPause', body.paragraphPause, settings.paragraphPauseMs),
+  };
+}
+
+// Cut an over-long sentence at the last clause mark, else the last space, before the limit
+function splitLong(sentence, max) {
+  const pieces = [];
+  let rest = sentence;
+  while (rest.length > max) {
+    const window = rest.slice(0, max);
+    let cut = Math.max(...[',', ';', ':', '—', '–'].map((mark) => window.lastIndexOf(mark))) + 1;
+    if (cut < max / 3) cut = window.lastIndexOf(' ');
+    if (cut < max / 3) cut = max;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Voice names that are not a valid locale tag fall back to English rules
+function sentenceSegmenter(locale) {
+  try {
+    return new Intl.Segmenter(String(locale || 'en').replace('_', '-'), { granularity: 'sentence' });
+  } catch {
+    return new Intl.Segmenter('en', { granularity: 'sentence' });
+  }
+}
+
+// Sentences of text with the pause that follows each: [{ text, pauseMs }]. Blank lines separate
+// paragraphs; single line breaks end a sentence.
+function splitSegments(text, locale, pauses, settings = longformSettings()) {
+  const segmenter = sentenceSegmenter(locale);
+  const segments = [];
+  for (const paragraph of String(text).split(/\r?\n[ \t]*\r?\n/)) {
+    const sentences = [...segmenter.segment(paragraph)]
+      .map(({ segment }) => segment.replace(/\s+/g, ' ').trim())
+      .filter((sentence) => /[\p{L}\p{N}]/u.test(sentence))
+      .flatMap((sentence) => splitLong(sentence, settings.maxSegmentChars));
+    sentences.forEach((sentence, i) => {
+      const last = i === sentences.length - 1;
+      segments.push({ text: sentence, pauseMs: last ? pauses.paragraphPauseMs : pauses.sentencePauseMs });
+    });
+  }
+  if (segments.length) segments[segments.length - 1].pauseMs = 0;
+  return segments;
+}
+
+// Normalize once up front, so expanded abbreviations no longer look like sentence ends
+function planSegments(text, voice, params) {
+  const locale = voiceLocale(voice);
+  const normalized = normalizeForSpeech(text, locale, params);
+  const segments = splitSegments(normalized, locale, params.longform);
+  if (!segments.length) throw httpError(400, 'Text is empty after normalization');
+  return segments;
+}
+
+// Render segments in order with up to `concurrency` running ahead; yields { pcm, sampleRate } per
+// segment with its trailing pause already appended. Decoded at sampleRate (null keeps the voice rate).
+async function* renderSegments(segments, voice, params, { sampleRate = null, signal, onProgress } = {}) {
+  const { concurrency } = longformSettings();
+  const engine = getEngine('tts', params.engine);
+  const tasks = [];
+  let done = 0;
+
+  const start = (i) => {
+    const task = (async () => {
+      signal?.throwIfAborted();
+      const wavPath = await engine.synthesize(segments[i].text, voice, { ...params, normalize: false });
+      try {
+        const audio = await decodeAudioFile(wavPath, sampleRate);
+        const pause = Buffer.alloc(Math.round((segments[i].pauseMs / 1000) * audio.sampleRate) * 2);
+        done += 1;
+        if (onProgress) onProgress(done / segments.length);
+        return { pcm: Buffer.concat([audio.pcm, pause]), sampleRate: audio.sampleRate };
+      } finally {
+        await fs.remove(wavPath);
+      }
+    })();
+    // failures surface when the task is awaited in order; this keeps tasks started ahead from
+    // being reported as unhandled if an earlier one ends the generator first
+    task.catch(() => {});
+    tasks[i] = task;
+  };
+
+  for (let i = 0; i < segments.length; i++) {
+    for (let ahead = tasks.length; ahead < Math.min(segments.length, i + concurrency); ahead++) start(ahead);
+    yield await tasks[i];
+    tasks[i] = null;
+  }
+}
+
+// Render a long text into one WAV file in uploads/ and return its path
+async function renderLongform(text, voice, params, options = {}) {
+  const chunks = [];
+  let sampleRate = null;
+  for await (const segment of renderSegments(planSegments(text, voice, params), voice, params, options)) {
+    chunks.push(segment.pcm);
+    sampleRate = segment.sampleRate;
+  }
+  const outputWav = `uploads/${randomUUID()}.wav`;
+  await fs.writeFile(outputWav, encodeWav(Buffer.concat(chunks), sampleRate));
+  return outputWav;
+}
+
+// WAV header for a stream of unknown length; players read until the connection closes
+function streamingWavHeader(sampleRate) {
+  const header = encodeWav(Buffer.alloc(0), sampleRate);
+  header.writeUInt32LE(0xffffffff, 4);
+  header.writeUInt32LE(0xffffffff, 40);
+  return header;
+}
+
+// Start rendering and resolve once the first segment is ready, so errors before any audio still
+// become normal responses. Returns { stream, contentType, headers, cancel }; cancel() stops
+// rendering and encoding when the client goes away.
+async function openLongformStream(text, voice, params, options = {}) {
+  const segments = planSegments(text, voice, params);
+  const passThrough = params.format === 'wav' || params.format === 'pcm';
+  const rendering = renderSegments(segments, voice, params, {
+    ...options,
+    sampleRate: passThrough ? params.sampleRate : null,
+  });
+  const first = await rendering.next();
+  const inputRate = first.value.sampleRate;
+
+  async function* pcm() {
+    yield first.value.pcm;
+    for await (const segment of rendering) yield segment.pcm;
+  }
+
+  const headers = (sampleRate) => ({
+    ...synthesisHeaders(voice, params, { sampleRate }),
+    'X-TTS-Segments': String(segments.length),
+  });
+
+  if (passThrough) {
+    const stream = Readable.from((async function* body() {
+      if (params.format === 'wav') yield streamingWavHeader(inputRate);
+      yield* pcm();
+    })());
+    return {
+      stream,
+      contentType: OUTPUT_FORMATS[params.format].contentType,
+      headers: headers(inputRate),
+      cancel: () => stream.destroy(),
+    };
+  }
+
+  let encoder;
+  try {
+    encoder = await spawnEncoder(params, inputRate);
+  } catch (err) {
+    await rendering.return();
+    throw err;
+  }
+  const { child } = encoder;
+  const source = Readable.from(pcm());
+  source.on('error', (err) => {
+    logger.error(`Long-form synthesis failed mid-stream: ${err.message}`);
+    child.stdout.destroy(err);
+    child.kill();
+  });
+  child.stdin.on('error', () => source.destroy());
+  source.pipe(child.stdin);
+  return {
+    stream: child.stdout,
+    contentType: OUTPUT_FORMATS[params.format].contentType,
+    headers: headers(encoder.sampleRate),
+    cancel: () => {
+      source.destroy();
+      child.kill();
+    },
+  };
+}
+
+module.exports = {
+  longformSettings,
+  parseLongformParams,
+  splitSegments,
+  renderLongform,
+  openLongformStream,
+};
@@ -0,0 +1,159 @@
+const { spawn } = require("child_process");
+const fs = require('fs-extra');
+const { config } = require("./config");
+const { httpError, apiError } = require('./errors');
+const { decodeAudioFile, readWavFormat, encodeWav } = require('./audio');
+const { EMOJI_MODES } = require('./text-normalize');
+
+const OUTPUT_FORMATS = {
+  wav: { extension: 'wav', contentType: 'audio/wav' },
+  mp3: { extension: 'mp3', contentType: 'audio/mpeg', codec: 'libmp3lame' },
+  ogg: { extension: 'ogg', contentType: 'audio/ogg', codec: 'libopus' },
+  // Raw 16-bit little-endian mono; the rate is in X-TTS-Sample-Rate
+  pcm: { extension: 'pcm', contentType: 'application/octet-stream' },
+};
+const FORMAT_ALIASES = { opus: 'ogg', raw: 'pcm' };
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Request field -> Piper option, accepted range and the header it is echoed in
+const SYNTHESIS_PARAMS = {
+  lengthScale: { option: 'length_scale', min: 0.1, max: 5, header: 'X-TTS-Length-Scale' },
+  noiseScale: { option: 'noise_scale', min: 0, max: 2, header: 'X-TTS-Noise-Scale' },
+  noiseW: { option: 'noise_w', min: 0, max: 2, header: 'X-TTS-Noise-W' },
+  sentenceSilence: { option: 'sentence_silence', min: 0, max: 10, header: 'X-TTS-Sentence-Silence' },
+};
+
+function parseNumber(name, value, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw httpError(400, `Invalid ${name}: expected a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Validate format, sample rate and Piper controls from a /tts request body
+function parseSynthesisParams(body = {}) {
+  const requested = String(body.format || 'wav').toLowerCase();
+  const format = FORMAT_ALIASES[requested] || requested;
+  if (!OUTPUT_FORMATS[format]) {
+    throw httpError(400, `Unknown audio format: ${requested} (expected one of wav, mp3, ogg, opus, pcm)`);
+  }
+
+  const params = {
+    format,
+    sampleRate: null,
+    speaker: null,
+    piper: {},
+    normalize: config.ttsNormalize !== false,
+    emoji: config.ttsEmoji || 'strip',
+  };
+
+  if (body.sampleRate !== undefined && body.sampleRate !== '') {
+    params.sampleRate = parseNumber('sampleRate', body.sampleRate, 8000, 48000);
+    if (!Number.isInteger(params.sampleRate)) throw httpError(400, 'Invalid sampleRate: expected an integer');
+    if (format === 'ogg' && !OPUS_SAMPLE_RATES.includes(params.sampleRate)) {
+      throw httpError(400, `Opus output supports sample rates ${OPUS_SAMPLE_RATES.join(', ')}`);
+    }
+  }
+
+  for (const [field, { option, min, max }] of Object.entries(SYNTHESIS_PARAMS)) {
+    if (body[field] === undefined || body[field] === '') continue;
+    params.piper[option] = parseNumber(field, body[field], min, max);
+  }
+
+  if (body.speaker !== undefined && body.speaker !== '') params.speaker = String(body.speaker);
+  if (body.normalize !== undefined && body.normalize !== '') params.normalize = String(body.normalize).toLowerCase() !== 'false';
+  if (body.emoji !== undefined && body.emoji !== '') {
+    params.emoji = String(body.emoji).toLowerCase();
+    if (!EMOJI_MODES.includes(params.emoji)) {
+      throw httpError(400, `Unknown emoji mode: ${body.emoji} (expected one of ${EMOJI_MODES.join(', ')})`);
+    }
+  }
+  return params;
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.ffmpegPath || 'ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (d) => (stderr += d));
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') reject(apiError('ENCODER_UNAVAILABLE', 'mp3/ogg output requires ffmpeg, which is not installed'));
+      else reject(err);
+    });
+    child.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg failed (${code}): ${stderr.trim()}`));
+    });
+  });
+}
+
+// ffmpeg encoding 16-bit mono PCM at inputRate from stdin into mp3/ogg on stdout, for streamed
+// responses; resolves with { child, sampleRate } once the process is running
+function spawnEncoder(params, inputRate) {
+  const target = OUTPUT_FORMATS[params.format];
+  const sampleRate = params.sampleRate || (params.format === 'ogg' ? 48000 : inputRate);
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.ffmpegPath || 'ffmpeg', ['-hide_banner', '-loglevel', 'error',
+      '-f', 's16le', '-ar', String(inputRate), '-ac', '1', '-i', 'pipe:0',
+      '-ar', String(sampleRate), '-c:a', target.codec, '-f', params.format === 'ogg' ? 'ogg' : 'mp3', 'pipe:1'],
+    { stdio: ['pipe', 'pipe', 'ignore'] });
+    child.once('error', (err) => {
+      if (err.code === 'ENOENT') reject(apiError('ENCODER_UNAVAILABLE', 'mp3/ogg output requires ffmpeg, which is not installed'));
+      else reject(err);
+    });
+    child.once('spawn', () => {
+      child.on('error', (err) => console.error(`ffmpeg encoder: ${err.message}`));
+      resolve({ child, sampleRate });
+    });
+  });
+}
+
+// Turn Piper's WAV into the requested format; returns { path, contentType, sampleRate }
+async function convertSpeech(wavPath, params) {
+  const target = OUTPUT_FORMATS[params.format];
+  const outputPath = wavPath.replace(/\.wav$/i, '') + `.out.${target.extension}`;
+
+  // A WAV at the voice's own rate goes out as Piper wrote it
+  if (params.format === 'wav' && !params.sampleRate) {
+    const { sampleRate } = await readWavFormat(wavPath);
+    return { path: wavPath, contentType: target.contentType, sampleRate };
+  }
+
+  if (params.format === 'wav' || params.format === 'pcm') {
+    const audio = await decodeAudioFile(wavPath, params.sampleRate);
+    const data = params.format === 'pcm' ? audio.pcm : encodeWav(audio.pcm, audio.sampleRate);
+    await fs.writeFile(outputPath, data);
+    return { path: outputPath, contentType: target.contentType, sampleRate: audio.sampleRate };
+  }
+
+  // Opus only encodes at fixed rates, so default it to 48 kHz rather than the voice rate
+  const sampleRate = params.sampleRate
+    || (params.format === 'ogg' ? 48000 : (await readWavFormat(wavPath)).sampleRate);
+  await runFfmpeg(['-hide_banner', '-loglevel', 'error', '-y', '-i', wavPath,
+    '-ar', String(sampleRate), '-c:a', target.codec, outputPath]);
+  return { path: outputPath, contentType: target.contentType, sampleRate };
+}
+
+// Echo the effective synthesis settings back to the client
+function synthesisHeaders(voice, params, output) {
+  const headers = {
+    'X-TTS-Voice': voice,
+    'X-TTS-Format': params.format,
+    'X-TTS-Sample-Rate': String(output.sampleRate),
+  };
+  if (params.speaker !== null) headers['X-TTS-Speaker'] = params.speaker;
+  for (const { option, header } of Object.values(SYNTHESIS_PARAMS)) {
+    if (params.piper[option] !== undefined) headers[header] = String(params.piper[option]);
+  }
+  return headers;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  SYNTHESIS_PARAMS,
+  parseSynthesisParams,
+  convertSpeech,
+  spawnEncoder,
+  synthesisHeaders,
+};
@@ -1,50 +1,122 @@
-const { spawn } = require("child_process");
 const fs = require('fs-extra');
 const path = require('path');
 const { randomUUID } = require('crypto');
+const { httpError, apiError } = require('./errors');
+const { synthesizeWithPool, stopVoiceWorkers, retireVoiceWorkers } = require('./piper-pool');
+const { ensureReady } = require('./health');
+const { ttsRequests, ttsDuration, ttsCharacters } = require('./metrics');
+const { normalizeForSpeech, voiceLocale } = require('./text-normalize');
 const logger = console;
 
 // Store TTS configurations and user preferences
 const ttsConfigs = {};
 
+// Read tts_configs/*.json; returns { configs, errors } with the files that failed to parse
+async function readTtsConfigs() {
+  await fs.mkdir("tts_configs", { recursive: true });
+  const files = await fs.readdir("tts_configs");
+  const configs = {};
+  const errors = [];
+  for (const file of files) {
+    if (file.endsWith(".json")) {
+      const providerName = file.slice(0, -5);
+      const configPath = path.join("tts_configs", file);
+      const configData = await fs.readFile(configPath, "utf-8");
+      try {
+        configs[providerName] = JSON.parse(configData);
+      } catch (error) {
+        errors.push(file);
+      }
+    }
+  }
+  return { configs, errors };
+}
+
 // Load TTS configurations
 async function loadTtsConfigs() {
   try {
-    await fs.mkdir("tts_configs", { recursive: true });
-    const files = await fs.readdir("tts_configs");
-    let loadedCount = 0;
-    let errorCount = 0;
-    for (const file of files) {
-      if (file.endsWith(".json")) {
-        const providerName = file.slice(0, -5);
-        const configPath = path.join("tts_configs", file);
-        const configData = await fs.readFile(configPath, "utf-8");
-        try {
-          ttsConfigs[providerName] = JSON.parse(configData);
-          loadedCount += 1;
-        } catch (error) {
-          errorCount += 1;
-        }
-      }
-    }
-    if (loadedCount > 0 || errorCount > 0) {
-      console.log(`TTS configs: loaded=${loadedCount}, errors=${errorCount}`);
+    const { configs, errors } = await readTtsConfigs();
+    Object.assign(ttsConfigs, configs);
+    const loadedCount = Object.keys(configs).length;
+    if (loadedCount > 0 || errors.length > 0) {
+      console.log(`TTS configs: loaded=${loadedCount}, errors=${errors.length}`);
     }
   } catch (error) {
     console.error(`Error loading TTS configs: ${error.message}`);
   }
 }
 
+// Pick up edits to tts_configs/: new voices are added, changed ones get fresh Piper workers once
+// their current jobs finish, and removed ones stop taking requests. A file that no longer parses
+// keeps its previous config. Returns { added, changed, removed, errors }.
+async function reloadTtsConfigs() {
+  const { configs, errors } = await readTtsConfigs();
+  const result = { added: [], changed: [], removed: [], errors };
+  for (const [providerName, ttsConfig] of Object.entries(configs)) {
+    const previous = ttsConfigs[providerName];
+    if (!previous) {
+      result.added.push(providerName);
+    } else if (JSON.stringify(previous) !== JSON.stringify(ttsConfig)) {
+      result.changed.push(providerName);
+      retireVoiceWorkers(providerName, ttsConfig);
+    } else {
+      continue;
+    }
+    ttsConfigs[providerName] = ttsConfig;
+  }
+  for (const providerName of Object.keys(ttsConfigs)) {
+    if (configs[providerName] || errors.includes(`${providerName}.json`)) continue;
+    result.removed.push(providerName);
+    retireVoiceWorkers(providerName);
+    delete ttsConfigs[providerName];
+  }
+  return result;
+}
+
+// Add or replace a voice at runtime (used by the voice install API)
+function registerTtsConfig(providerName, ttsConfig) {
+  if (ttsConfigs[providerName]) stopVoiceWorkers(providerName);
+  ttsConfigs[providerName] = ttsConfig;
+}
+
+function unregisterTtsConfig(providerName) {
+  stopVoiceWorkers(providerName);
+  delete ttsConfigs[providerName];
+}
+
+// Map a speaker name or numeric id onto the voice's speaker_id_map
+async function resolveSpeakerId(configstt, speaker) {
+  if (speaker === null || speaker === undefined) return undefined;
+  let voiceJson = {};
+  try {
+    voiceJson = JSON.parse(await fs.readFile(configstt.configPath, "utf-8"));
+  } catch {
+    // fall through; a numeric id can still be range-checked against num_speakers below
+  }
+  const speakers = voiceJson.speaker_id_map || {};
+  const count = voiceJson.num_speakers || Object.keys(speakers).length || 1;
+
+  if (Object.prototype.hasOwnProperty.call(speakers, speaker)) return speakers[speaker];
+  const id = Number(speaker);
+  if (Number.isInteger(id) && id >= 0 && id < count) {
+    if (count === 1) throw httpError(400, `Voice ${configstt.voice} has a single speaker`);
+    return id;
+  }
+  throw httpError(400, `Unknown speaker for voice ${configstt.voice}: ${speaker}`);
+}
+
 // Generate TTS audio using piper-tts
 async function generateTts(
   text,
   provider = `en_US-amy-medium`,
-  outputFile = `uploads/${randomUUID()}.wav`
-) {;
-  const configstt = require(`./tts_configs/${provider}.json`);
+  outputFile = `uploads/${randomUUID()}.wav`,
+  options = {}
+) {
+  ensureReady('piper');
+  const configstt = ttsConfigs[provider];
   if (!configstt) {
     logger.error(`No TTS config found for provider: ${provider}`);
-    return null;
+    throw apiError('VOICE_NOT_FOUND', `Voice not installed: ${provider}`);
   }
 
   const voice = provider || "en_US-lessac-medium";
@@ -52,50 +124,48 @@ async function generateTts(
     configstt.modelPath || `./piper/models/${voice}.onnx`
   );
 
-  return new Promise((resolve, reject) => {
-    const args = [
-      "-m",
-      "piper",
-      "--model",
-      modelPath,
-      "--output_file",
-      outputFile
-    ];
-    const child = spawn(configstt.pythonPath, args, {
-      stdio: ["pipe", "inherit", "inherit"]
-    });
-
-    child.stdin.write(text + "\n");
-    child.stdin.end();
-
-    child.on("close", code => {
-      if (code === 0) resolve(outputFile);
-      else reject(new Error(`Piper exited with code ${code}`));
-    });
-
-    child.on("error", reject);
-  });
-}
+  const piperOptions = { ...(options.piper || {}) };
+  const speakerId = await resolveSpeakerId(configstt, options.speaker);
+  if (speakerId !== undefined) piperOptions.speaker_id = speakerId;
 
-function stripEmojis(text) {
-  return text.replace(/[\p{Emoji_Presentation}\p{Emoji}\u200d]+/gu, '').trim();
+  // Jobs go to a warm Piper process for this voice instead of a fresh interpreter
+  const stopTimer = ttsDuration.startTimer({ voice: provider });
+  try {
+    const result = await synthesizeWithPool(provider, { ...configstt, modelPath }, text, outputFile, piperOptions);
+    stopTimer();
+    ttsRequests.inc({ voice: provider, outcome: 'success' });
+    ttsCharacters.inc({ voice: provider }, text.length);
+    return result;
+  } catch (err) {
+    ttsRequests.inc({ voice: provider, outcome: 'error' });
+    // Piper may have written part of the file before failing
+    await fs.remove(outputFile);
+    throw err;
+  }
 }
 
-async function synthesizeWithPiper(text, voice) {
+// options: { speaker, piper: { length_scale, noise_scale, noise_w, sentence_silence }, normalize, emoji }
+async function synthesizeWithPiper(text, voice, options = {}) {
   const outputWav = `uploads/${randomUUID()}.wav`;
+  voice = voice || "en_US-lessac-medium";
 
-  return new Promise(async (resolve, reject) => {
-    const cleanSentence = stripEmojis(text);
-    const audioFileAi = await generateTts(
-      cleanSentence,
-      voice || "en_US-lessac-medium",
-      outputWav
-    );
-
-    console.log(audioFileAi)
+  const cleanSentence = normalizeForSpeech(text, voiceLocale(voice), options);
+  if (!cleanSentence) throw httpError(400, 'Text is empty after normalization');
+  const audioFileAi = await generateTts(
+    cleanSentence,
+    voice,
+    outputWav,
+    options
+  );
 
-    resolve(audioFileAi);
-  });
+  return audioFileAi;
 }
 
-module.exports = { synthesizeWithPiper, loadTtsConfigs };
+module.exports = {
+  synthesizeWithPiper,
+  loadTtsConfigs,
+  reloadTtsConfigs,
+  registerTtsConfig,
+  unregisterTtsConfig,
+  ttsConfigs,
+};
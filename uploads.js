@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require("child_process");
+const multer = require('multer');
+const { config } = require("./config");
+const { httpError, apiError } = require('./errors');
+const { transcriptDuration } = require('./transcript');
+const logger = console;
+
+// Audio uploads land in uploads/ under a random name, are checked (size, real type by magic
+// bytes, duration) and removed once the response is over, however it ends. Anything left behind
+// by a crash is purged by the sweeper after uploadTtlMs.
+const UPLOAD_DIR = 'uploads';
+const HEADER_BYTES = 64 * 1024;
+
+// Checked in order; the first match names the real type and the extension the file is given
+const AUDIO_TYPES = [
+  { type: 'wav', extension: '.wav', contentType: 'audio/wav', match: (b) => /^RIF[FX]$/.test(ascii(b, 0, 4)) && ascii(b, 8, 4) === 'WAVE' },
+  { type: 'flac', extension: '.flac', contentType: 'audio/flac', match: (b) => ascii(b, 0, 4) === 'fLaC' },
+  { type: 'ogg', extension: '.ogg', contentType: 'audio/ogg', match: (b) => ascii(b, 0, 4) === 'OggS' },
+  { type: 'webm', extension: '.webm', contentType: 'audio/webm', match: (b) => b.length >= 4 && b.readUInt32BE(0) === 0x1a45dfa3 },
+  { type: 'm4a', extension: '.m4a', contentType: 'audio/mp4', match: (b) => ascii(b, 4, 4) === 'ftyp' },
+  // ADTS AAC and MPEG audio share the frame sync; the layer bits tell them apart
+  { type: 'aac', extension: '.aac', contentType: 'audio/aac', match: (b) => b.length >= 2 && b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  { type: 'mp3', extension: '.mp3', contentType: 'audio/mpeg', match: (b) => ascii(b, 0, 3) === 'ID3' || (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) },
+];
+
+// Uploads still being handled; the sweeper leaves these alone however old they are
+const active = new Set();
+let sweeper = null;
+
+function ascii(buffer, offset, length) {
+  return buffer.length >= offset + length ? buffer.toString('latin1', offset, offset + length) : '';
+}
+
+function maxBytes() {
+  const value = Number(config.uploadMaxBytes);
+  return Number.isFinite(value) && value >= 0 ? value : 100 * 1024 * 1024;
+}
+
+function maxSeconds() {
+  const value = Number(config.uploadMaxSeconds);
+  return Number.isFinite(value) && value >= 0 ? value : 0;
+}
+
+function ttlMs() {
+  const value = Number(config.uploadTtlMs);
+  return Number.isFinite(value) && value > 0 ? value : 60 * 60 * 1000;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${bytes} bytes`;
+}
+
+// { type, extension, contentType } of the audio in buffer, or null
+function sniffAudioType(buffer) {
+  return AUDIO_TYPES.find((candidate) => candidate.match(buffer)) || null;
+}
+
+// Seconds of audio in a WAV from its header alone; a streamed header without sizes falls back to
+// the file size. null when the header has no fmt/data chunks.
+function wavDuration(header, fileSize) {
+  let byteRate = null;
+  for (let offset = 12; offset + 8 <= header.length;) {
+    const id = ascii(header, offset, 4);
+    const size = header.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= header.length) byteRate = header.readUInt32LE(offset + 16);
+    if (id === 'data') {
+      if (!byteRate) return null;
+      const dataBytes = size === 0 || size === 0xffffffff ? fileSize - offset - 8 : Math.min(size, fileSize - offset - 8);
+      return dataBytes / byteRate;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Duration via ffprobe for compressed formats; null when ffprobe is missing or cannot tell
+function probeDuration(filePath) {
+  return new Promise((resolve) => {
+    const child = spawn(config.ffprobePath || 'ffprobe', ['-v', 'error', '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1', filePath], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let output = '';
+    const timer = setTimeout(() => child.kill(), 10000);
+    child.stdout.on('data', (d) => (output += d));
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const seconds = parseFloat(output);
+      resolve(code === 0 && Number.isFinite(seconds) ? seconds : null);
+    });
+  });
+}
+
+async function readHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function removeUpload(file) {
+  active.delete(file.path);
+  await fs.remove(file.path).catch((err) => logger.warn(`Could not remove upload ${file.path}: ${err.message}`));
+}
+
+// Check an uploaded file in place: real type from its magic bytes (renamed to match, since
+// downstream engines go by the extension), then its duration, kept as file.duration (null when it
+// cannot be measured) for billing, against the limit
+async function inspectUpload(file) {
+  const header = await readHeader(file.path);
+  if (!header.length) throw apiError('AUDIO_EMPTY', 'Audio file is empty');
+  const detected = sniffAudioType(header);
+  if (!detected) {
+    throw apiError('AUDIO_UNSUPPORTED', 'Unsupported audio type: expected WAV, MP3, OGG/Opus, FLAC, WebM, M4A or AAC');
+  }
+  const renamed = path.join(path.dirname(file.path), path.basename(file.path, path.extname(file.path)) + detected.extension);
+  await fs.rename(file.path, renamed);
+  active.delete(file.path);
+  active.add(renamed);
+  Object.assign(file, { path: renamed, filename: path.basename(renamed), mimetype: detected.contentType, audioType: detected.type });
+
+  const duration = detected.type === 'wav' ? wavDuration(header, file.size) : await probeDuration(file.path);
+  file.duration = duration;
+  const limit = maxSeconds();
+  if (limit && duration !== null && duration > limit) {
+    throw apiError('AUDIO_TOO_LONG', `Audio is ${Math.round(duration)} s long; the limit is ${limit} s`);
+  }
+}
+
+// Middleware for one audio file in `field`. Errors go to next(err) as HTTP errors; the file is
+// deleted when the response closes, whether sent, failed or aborted by the client (a job that
+// took the file has moved it by then). req.uploadSignal aborts when the client goes away first.
+function receiveAudio(field) {
+  return (req, res, next) => {
+    const storage = multer.diskStorage({
+      destination: (request, file, cb) => cb(null, `${UPLOAD_DIR}/`),
+      // the client's name and extension are not trusted; inspectUpload sets the extension
+      filename: (request, file, cb) => cb(null, `${Date.now()}-${Math.round(Math.random() * 1E9)}.upload`),
+    });
+    const limits = { files: 1 };
+    if (maxBytes()) limits.fileSize = maxBytes();
+
+    const controller = new AbortController();
+    req.uploadSignal = controller.signal;
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+      if (req.file) removeUpload(req.file);
+    });
+
+    multer({ storage, limits }).single(field)(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          next(apiError('PAYLOAD_TOO_LARGE', `Upload exceeds the ${formatBytes(maxBytes())} limit`));
+        } else {
+          next(err.name === 'MulterError' ? httpError(400, err.message) : err);
+        }
+        return;
+      }
+      if (!req.file) {
+        next();
+        return;
+      }
+      active.add(req.file.path);
+      try {
+        await inspectUpload(req.file);
+        next();
+      } catch (inspectErr) {
+        next(inspectErr);
+      }
+    });
+  };
+}
+
+// Seconds of audio to charge for an upload: its measured length, or what the transcripts cover
+// when that is longer or the length could not be measured. Transcript timestamps alone undercount:
+// most engines only report where speech ends.
+function billedSeconds(file, ...transcripts) {
+  return Math.max(file?.duration || 0, ...transcripts.map((transcript) => transcriptDuration(transcript)));
+}
+
+// Delete files in uploads/ older than uploadTtlMs that no request is using
+async function sweepUploads() {
+  const cutoff = Date.now() - ttlMs();
+  let removed = 0;
+  for (const name of await fs.readdir(UPLOAD_DIR)) {
+    const file = path.join(UPLOAD_DIR, name);
+    if (active.has(file)) continue;
+    try {
+      const stat = await fs.stat(file);
+      if (!stat.isFile() || stat.mtimeMs >= cutoff) continue;
+      await fs.remove(file);
+      removed += 1;
+    } catch {
+      // gone in the meantime
+    }
+  }
+  if (removed) logger.info(`Removed ${removed} stale file(s) from ${UPLOAD_DIR}/`);
+  return removed;
+}
+
+function startUploadSweeper() {
+  if (sweeper) return;
+  const interval = Number(config.uploadSweepIntervalMs) > 0 ? Number(config.uploadSweepIntervalMs) : 10 * 60 * 1000;
+  sweepUploads().catch((err) => logger.warn('Upload sweep failed:', err.message));
+  sweeper = setInterval(() => sweepUploads().catch((err) => logger.warn('Upload sweep failed:', err.message)), interval);
+  sweeper.unref();
+}
+
+module.exports = {
+  UPLOAD_TYPES: AUDIO_TYPES.map((candidate) => candidate.type),
+  receiveAudio,
+  sniffAudioType,
+  wavDuration,
+  billedSeconds,
+  sweepUploads,
+  startUploadSweeper,
+};
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const { config } = require("./config");
+const { decodeAudioFile, encodeWav } = require('./audio');
+const { createTranscript, offsetSegments } = require('./transcript');
+const logger = console;
+
+// Energy-based voice activity detection on 16 kHz mono PCM, in 30 ms frames
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 30;
+const FRAME_SAMPLES = (SAMPLE_RATE * FRAME_MS) / 1000;
+
+const DEFAULTS = {
+  enabled: false,
+  thresholdDb: null, // fixed speech threshold in dBFS; null adapts to the recording's noise floor
+  marginDb: 12, // adaptive threshold: this far above the noise floor
+  minThresholdDb: -55, // frames quieter than this are never speech
+  minSilenceMs: 600, // pauses at least this long split regions
+  minSpeechMs: 250, // shorter bursts are dropped as noise
+  padMs: 200, // kept around each region so word edges are not clipped
+  maxChunkSeconds: 30,
+  concurrency: 2,
+};
+
+function vadSettings() {
+  const settings = { ...DEFAULTS, ...(config.vad || {}) };
+  for (const key of ['marginDb', 'minThresholdDb', 'minSilenceMs', 'minSpeechMs', 'padMs', 'maxChunkSeconds']) {
+    settings[key] = Number.isFinite(Number(settings[key])) ? Number(settings[key]) : DEFAULTS[key];
+  }
+  settings.maxChunkSeconds = Math.max(1, settings.maxChunkSeconds);
+  settings.concurrency = Math.max(1, parseInt(settings.concurrency, 10) || DEFAULTS.concurrency);
+  return settings;
+}
+
+// Request flag ("true"/"false") with config.vad.enabled as the default
+function vadRequested(value) {
+  if (value === undefined || value === null || value === '') return Boolean(vadSettings().enabled);
+  return String(value).toLowerCase() === 'true';
+}
+
+function frameLevels(pcm) {
+  const frames = Math.floor(pcm.length / 2 / FRAME_SAMPLES);
+  const levels = new Float64Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const sample = pcm.readInt16LE((f * FRAME_SAMPLES + i) * 2) / 32768;
+      sum += sample * sample;
+    }
+    levels[f] = 10 * Math.log10(sum / FRAME_SAMPLES + 1e-10);
+  }
+  return levels;
+}
+
+function percentile(values, fraction) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+// The quiet end of the recording is taken as noise; capped below its loud end so
+// recordings with no pauses at all are not mistaken for silence
+function speechThreshold(levels, settings) {
+  if (settings.thresholdDb !== null && settings.thresholdDb !== undefined) return Number(settings.thresholdDb);
+  const noise = percentile(levels, 0.1);
+  const loud = percentile(levels, 0.95);
+  return Math.max(settings.minThresholdDb, Math.min(noise + settings.marginDb, loud - 6));
+}
+
+// Speech regions [{ start, end }] in seconds, padded and with short pauses bridged
+function detectRegions(pcm, settings = vadSettings()) {
+  const levels = frameLevels(pcm);
+  if (!levels.length) return { regions: [], levels, threshold: null };
+  const threshold = speechThreshold(levels, settings);
+  const frameSeconds = FRAME_MS / 1000;
+  const duration = pcm.length / 2 / SAMPLE_RATE;
+
+  const runs = [];
+  let current = null;
+  levels.forEach((level, f) => {
+    if (level < threshold) return;
+    if (current && (f - current.endFrame) * FRAME_MS < settings.minSilenceMs) {
+      current.endFrame = f + 1;
+    } else {
+      current = { startFrame: f, endFrame: f + 1 };
+      runs.push(current);
+    }
+  });
+
+  const pad = settings.padMs / 1000;
+  const regions = [];
+  for (const run of runs) {
+    if ((run.endFrame - run.startFrame) * FRAME_MS < settings.minSpeechMs) continue;
+    const start = Math.max(0, run.startFrame * frameSeconds - pad);
+    const end = Math.min(duration, run.endFrame * frameSeconds + pad);
+    const previous = regions[regions.length - 1];
+    if (previous && start <= previous.end) previous.end = end;
+    else regions.push({ start, end });
+  }
+  return { regions, levels, threshold };
+}
+
+// Quietest frame in [from, to) seconds, as a cut point for over-long speech
+function quietestPoint(levels, from, to) {
+  const first = Math.ceil((from * 1000) / FRAME_MS);
+  const last = Math.min(levels.length, Math.floor((to * 1000) / FRAME_MS));
+  let best = last;
+  for (let f = first; f < last; f++) {
+    if (best === last || levels[f] < levels[best]) best = f;
+  }
+  return (best * FRAME_MS) / 1000;
+}
+
+// Group consecutive regions into chunks no longer than maxChunkSeconds; longer regions
+// are cut at their quietest point in the second half of the window
+function planChunks(regions, levels, settings = vadSettings()) {
+  const max = settings.maxChunkSeconds;
+  const chunks = [];
+  for (const region of regions) {
+    let { start } = region;
+    while (region.end - start > max) {
+      const cut = quietestPoint(levels, start + max / 2, start + max);
+      chunks.push({ start, end: cut });
+      start = cut;
+    }
+    const previous = chunks[chunks.length - 1];
+    if (previous && region.end - previous.start <= max) {
+      previous.end = region.end;
+    } else {
+      chunks.push({ start, end: region.end });
+    }
+  }
+  return chunks.map((chunk) => ({ start: round(chunk.start), end: round(chunk.end) }));
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Speech regions of an uploaded WAV, for /stt speechOnly requests
+async function analyzeSpeech(filePath) {
+  const settings = vadSettings();
+  const audio = await decodeAudioFile(filePath, SAMPLE_RATE);
+  const { regions, levels, threshold } = detectRegions(audio.pcm, settings);
+  return {
+    duration: round(audio.duration),
+    speechDuration: round(regions.reduce((sum, r) => sum + r.end - r.start, 0)),
+    threshold: threshold === null ? null : Math.round(threshold * 10) / 10,
+    regions: regions.map((r) => ({ start: round(r.start), end: round(r.end) })),
+    chunks: planChunks(regions, levels, settings),
+  };
+}
+
+// Run fn over items with at most `limit` in flight, keeping result order
+// After the first failure no new item starts; the call settles only once every item already
+// running has finished, so callers can clean up knowing nothing is still writing
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  });
+  const settled = await Promise.allSettled(workers);
+  const rejected = settled.find((outcome) => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  return results;
+}
+
+// Trim silence, split on pauses and transcribe the chunks in parallel with transcribe(path, options),
+// merging the results back onto the original timeline. Uploads that cannot be decoded here
+// (anything but WAV) are passed through whole.
+async function transcribeInChunks(filePath, transcribe, options = {}) {
+  const settings = vadSettings();
+  let audio;
+  try {
+    audio = await decodeAudioFile(filePath, SAMPLE_RATE);
+  } catch (err) {
+    if (err.status !== 415) throw err;
+    logger.warn(`VAD skipped for ${filePath}: ${err.message}`);
+    return transcribe(filePath, options);
+  }
+
+  const { regions, levels } = detectRegions(audio.pcm, settings);
+  const chunks = planChunks(regions, levels, settings);
+  if (!chunks.length) {
+    const empty = createTranscript([]);
+    empty.duration = audio.duration;
+    empty.chunks = [];
+    return empty;
+  }
+
+  let done = 0;
+  const results = [];
+  try {
+    await mapLimit(chunks, settings.concurrency, async (chunk, i) => {
+      options.signal?.throwIfAborted();
+      const chunkPath = `${filePath}.chunk-${i}.wav`;
+      // recorded before writing so the finally below can clean up after a failure
+      results[i] = { chunkPath };
+      const pcm = audio.pcm.subarray(Math.round(chunk.start * SAMPLE_RATE) * 2, Math.round(chunk.end * SAMPLE_RATE) * 2);
+      await fs.writeFile(chunkPath, encodeWav(pcm, SAMPLE_RATE));
+      const transcript = await transcribe(chunkPath, { ...options, onProgress: undefined });
+      results[i].transcript = transcript;
+      done += 1;
+      if (options.onProgress) options.onProgress(done / chunks.length);
+    });
+  } finally {
+    await Promise.all(results.filter(Boolean).map((r) => fs.remove(r.chunkPath)));
+  }
+
+  const transcripts = results.map((r) => r.transcript);
+  const merged = createTranscript(transcripts.flatMap((t, i) => {
+    const length = round(chunks[i].end - chunks[i].start);
+    // untimed output (a single plain-text segment) spans its whole chunk
+    const segments = t.segments.map((segment) => (segment.end > segment.start ? segment : { ...segment, end: length }));
+    return offsetSegments(segments, chunks[i].start);
+  }));
+  merged.duration = audio.duration;
+  merged.chunks = chunks;
+  merged.model = transcripts[0].model;
+  merged.language = transcripts[0].language;
+  const providers = [...new Set(transcripts.map((t) => t.provider).filter(Boolean))];
+  if (providers.length) merged.provider = providers.join('+');
+  merged.providerErrors = transcripts.flatMap((t) => t.providerErrors || []);
+  return merged;
+}
+
+module.exports = {
+  vadSettings,
+  vadRequested,
+  detectRegions,
+  planChunks,
+  analyzeSpeech,
+  transcribeInChunks,
+};
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require("./config");
+const { ttsConfigs, registerTtsConfig, unregisterTtsConfig } = require('./tts');
+const { downloadFile, fileExists, verifyFile, remoteSize, sha256File } = require('./download');
+const { httpError, apiError } = require('./errors');
+
+const PIPER_DIR = 'piper';
+const MODELS_DIR = path.join(PIPER_DIR, 'models');
+const TTS_CONFIG_DIR = 'tts_configs';
+// Size and sha256 of each voice file as downloaded and verified, so later boots can catch a file
+// that was truncated or corrupted on disk even when voice_dl.json pins nothing for it
+const CHECKSUMS_FILE = path.join(MODELS_DIR, 'checksums.json');
+
+// Install progress per voice name, reported by the admin status endpoint
+const installs = new Map();
+
+// Voice model download URLs (from Hugging Face), with optional onnxSize/onnxSha256/jsonSize/jsonSha256
+// pins that downloads and the startup check verify against (see README.md)
+const VOICE_MODELS = require('./config/voice_dl.json');
+
+const QUALITIES = ['x_low', 'low', 'medium', 'high'];
+
+// Language mapping for TTS configs
+const LANGUAGE_MAP = {
+  'de_DE': 'German (Germany)',
+  'en_US': 'English (United States)',
+  'en_GB': 'English (United Kingdom)',
+  'es_ES': 'Spanish (Spain)',
+  'fr_FR': 'French (France)',
+  'sv_SE': 'Swedish (Sweden)',
+  'nl_NL': 'Dutch (Netherlands)',
+  'da_DK': 'Danish (Denmark)',
+  'it_IT': 'Italian (Italy)',
+  'ru_RU': 'Russian (Russia)',
+  'pt_BR': 'Portuguese (Brazil)',
+  'pl_PL': 'Polish (Poland)',
+};
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function languageName(locale) {
+  if (LANGUAGE_MAP[locale]) return LANGUAGE_MAP[locale];
+  try {
+    return displayNames.of(locale.replace('_', '-')) || 'Unknown Language';
+  } catch {
+    return 'Unknown Language';
+  }
+}
+
+// Piper voice names look like <locale>-<speaker>-<quality>, e.g. en_US-lessac-medium
+function parseVoiceName(name) {
+  const parts = String(name).split('-');
+  const locale = parts[0];
+  const quality = parts.length > 2 && QUALITIES.includes(parts[parts.length - 1]) ? parts.pop() : null;
+  const speaker = parts.slice(1).join('-') || null;
+  return { locale, speaker, quality };
+}
+
+function modelPaths(name) {
+  return {
+    modelPath: path.join(MODELS_DIR, `${name}.onnx`),
+    configPath: path.join(MODELS_DIR, `${name}.onnx.json`),
+  };
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return null;
+  }
+}
+
+// Download sizes of voices that are not installed: voice_dl.json's onnxSize, else the Content-Length
+// of a HEAD request. Sizes are cached; after a failed lookup none is tried again for a while, so an
+// offline server answers quickly.
+const remoteSizes = new Map(); // onnx URL -> bytes
+const SIZE_LOOKUP_RETRY_MS = 10 * 60 * 1000;
+const SIZE_LOOKUP_TIMEOUT_MS = 3000;
+const SIZE_LOOKUPS = 8;
+let sizeLookupFailedAt = 0;
+
+function knownDownloadSize(model) {
+  if (!model) return null;
+  if (model.onnxSize) return Number(model.onnxSize);
+  return remoteSizes.get(model.onnx) ?? null;
+}
+
+async function lookupDownloadSize(model) {
+  const known = knownDownloadSize(model);
+  if (known !== null || Date.now() - sizeLookupFailedAt < SIZE_LOOKUP_RETRY_MS) return known;
+  const size = await remoteSize(model.onnx, { timeoutMs: SIZE_LOOKUP_TIMEOUT_MS });
+  if (size === null) sizeLookupFailedAt = Date.now();
+  else remoteSizes.set(model.onnx, size);
+  return size;
+}
+
+// Fill in the download size of listed voices that are not installed, a few lookups at a time
+async function withDownloadSizes(voices) {
+  const missing = [].concat(voices).filter((voice) => voice && voice.size === null && voice.available);
+  let next = 0;
+  await Promise.all(Array.from({ length: Math.min(SIZE_LOOKUPS, missing.length) }, async () => {
+    while (next < missing.length) {
+      const voice = missing[next++];
+      voice.size = await lookupDownloadSize(VOICE_MODELS.find((model) => model.name === voice.name));
+    }
+  }));
+  return voices;
+}
+
+// size is the model file on disk once installed, the download size before that (null if unknown)
+function describeVoice(name) {
+  const { locale, speaker, quality } = parseVoiceName(name);
+  const download = VOICE_MODELS.find((model) => model.name === name) || null;
+  const ttsConfig = ttsConfigs[name] || null;
+  const modelPath = ttsConfig?.modelPath || modelPaths(name).modelPath;
+  const installedSize = fileSize(modelPath);
+  const installed = Boolean(ttsConfig) && installedSize !== null;
+
+  return {
+    name,
+    language: languageName(locale),
+    languageCode: locale.split('_')[0].toLowerCase(),
+    locale,
+    speaker,
+    quality,
+    installed,
+    available: Boolean(download),
+    size: installed ? installedSize : knownDownloadSize(download),
+  };
+}
+
+// Every voice in the download list plus any custom voice found in tts_configs/
+function listVoiceNames() {
+  const names = new Set(VOICE_MODELS.map((model) => model.name));
+  for (const name of Object.keys(ttsConfigs)) names.add(name);
+  return [...names].sort();
+}
+
+function listVoices(filters = {}) {
+  const locale = filters.locale ? String(filters.locale).replace('-', '_').toLowerCase() : null;
+  const language = filters.language ? String(filters.language).toLowerCase() : null;
+  const quality = filters.quality ? String(filters.quality).toLowerCase() : null;
+  const installed = filters.installed === undefined ? null : String(filters.installed) === 'true';
+
+  return listVoiceNames()
+    .map(describeVoice)
+    .filter((voice) => !locale || voice.locale.toLowerCase() === locale)
+    .filter((voice) => !language || voice.languageCode === language)
+    .filter((voice) => !quality || voice.quality === quality)
+    .filter((voice) => installed === null || voice.installed === installed);
+}
+
+function getVoice(name) {
+  if (!listVoiceNames().includes(name)) return null;
+  return describeVoice(name);
+}
+
+// Voices downloaded at boot: config.preinstallVoices, "*" for all, default voice otherwise
+function preinstallVoiceNames() {
+  const configured = config.preinstallVoices ?? [config.voice].filter(Boolean);
+  if (configured === '*' || (Array.isArray(configured) && configured.includes('*'))) {
+    return VOICE_MODELS.map((model) => model.name);
+  }
+  return (Array.isArray(configured) ? configured : [configured]).filter(Boolean);
+}
+
+// Write the tts_configs entry for a downloaded voice and make it usable immediately
+async function writeVoiceConfig(name, pythonPath) {
+  const { modelPath, configPath } = modelPaths(name);
+  const { locale, speaker } = parseVoiceName(name);
+  const ttsConfig = {
+    provider: `${locale.toLowerCase()}_${speaker}`,
+    voice: name,
+    language: languageName(locale),
+    pythonPath,
+    modelPath,
+    configPath,
+  };
+  await fs.promises.mkdir(TTS_CONFIG_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(TTS_CONFIG_DIR, `${name}.json`), JSON.stringify(ttsConfig, null, 2));
+  registerTtsConfig(name, ttsConfig);
+  return ttsConfig;
+}
+
+function getInstallStatus(name) {
+  const status = installs.get(name);
+  if (status) {
+    const { promise, ...rest } = status;
+    return rest;
+  }
+  const voice = getVoice(name);
+  if (!voice) return null;
+  return { name, state: voice.installed ? 'installed' : 'not_installed' };
+}
+
+function listInstallStatus() {
+  return [...installs.keys()].map(getInstallStatus);
+}
+
+// Files making up a voice, with the optional size/sha256 fields from voice_dl.json
+function voiceFiles(model) {
+  const { modelPath, configPath } = modelPaths(model.name);
+  return [
+    { url: model.onnx, dest: modelPath, size: model.onnxSize, sha256: model.onnxSha256 },
+    { url: model.json, dest: configPath, size: model.jsonSize, sha256: model.jsonSha256, json: true },
+  ];
+}
+
+function readChecksums() {
+  try {
+    return JSON.parse(fs.readFileSync(CHECKSUMS_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Writes are chained so concurrent installs do not drop each other's entries
+let checksumWrites = Promise.resolve();
+
+function recordChecksum(file) {
+  checksumWrites = checksumWrites
+    .then(async () => {
+      const entry = { url: file.url, size: fileSize(file.dest), sha256: await sha256File(file.dest) };
+      const checksums = { ...readChecksums(), [path.basename(file.dest)]: entry };
+      await fs.promises.writeFile(CHECKSUMS_FILE, JSON.stringify(checksums, null, 2));
+    })
+    .catch((err) => console.warn(`Could not record checksum for ${file.dest}: ${err.message}`));
+  return checksumWrites;
+}
+
+// What a file on disk must match: the voice_dl.json pins, else what we recorded when we downloaded it
+function expectedFor(file) {
+  if (file.size || file.sha256) return { size: file.size, sha256: file.sha256 };
+  const recorded = readChecksums()[path.basename(file.dest)];
+  return recorded && recorded.url === file.url ? { size: recorded.size, sha256: recorded.sha256 } : null;
+}
+
+async function verifyVoiceFile(file, expected = expectedFor(file)) {
+  const result = await verifyFile(file.dest, expected || {});
+  if (!result.ok || !file.json) return result;
+  try {
+    JSON.parse(await fs.promises.readFile(file.dest, 'utf8'));
+    return result;
+  } catch {
+    return { ok: false, reason: 'invalid JSON' };
+  }
+}
+
+async function runInstall(status, model, pythonPath) {
+  const files = voiceFiles(model);
+  const progress = files.map(() => ({ received: 0, total: null }));
+  const downloaded = [];
+
+  const update = () => {
+    status.receivedBytes = progress.reduce((sum, p) => sum + p.received, 0);
+    const totals = progress.map((p) => p.total);
+    status.totalBytes = totals.every((t) => t) ? totals.reduce((sum, t) => sum + t, 0) : null;
+    status.progress = status.totalBytes ? Math.round((status.receivedBytes / status.totalBytes) * 1000) / 1000 : null;
+  };
+
+  try {
+    for (const [i, file] of files.entries()) {
+      if ((await verifyVoiceFile(file)).ok) continue;
+      await fs.promises.rm(file.dest, { force: true });
+      const result = await downloadFile(file.url, file.dest, {
+        size: file.size,
+        sha256: file.sha256,
+        onProgress: (received, total) => {
+          progress[i] = { received, total };
+          update();
+        },
+      });
+      downloaded.push(file.dest);
+      if (result.skipped) throw new Error(`Voice file missing upstream: ${file.url}`);
+      await recordChecksum(file);
+    }
+
+    status.state = 'registering';
+    await writeVoiceConfig(model.name, pythonPath);
+    status.state = 'installed';
+    status.progress = 1;
+  } catch (err) {
+    status.state = 'failed';
+    status.error = err.message;
+    await Promise.all(downloaded.map((dest) => fs.promises.rm(dest, { force: true })));
+    throw err;
+  } finally {
+    status.finishedAt = new Date().toISOString();
+  }
+}
+
+// Download one voice and register it without a restart; concurrent calls share one install
+function installVoice(name, { pythonPath }) {
+  const model = VOICE_MODELS.find((entry) => entry.name === name);
+  if (!model) throw apiError('VOICE_NOT_FOUND', `Unknown voice: ${name}`);
+
+  const current = installs.get(name);
+  if (current && current.promise && !current.finishedAt) return current;
+
+  const status = {
+    name,
+    state: 'downloading',
+    progress: 0,
+    receivedBytes: 0,
+    totalBytes: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  status.promise = runInstall(status, model, pythonPath);
+  status.promise.catch((err) => console.error(`Voice install failed (${name}): ${err.message}`));
+  installs.set(name, status);
+  return status;
+}
+
+// Startup scan: re-fetch any downloaded voice whose files fail verification. Files with nothing
+// pinned or recorded (installed before checksums were kept) are checked against the upstream
+// Content-Length once, then recorded so later boots verify them offline.
+async function verifyInstalledVoices({ pythonPath }) {
+  let repaired = 0;
+  for (const model of VOICE_MODELS) {
+    const files = voiceFiles(model);
+    const present = await Promise.all(files.map((file) => fileExists(file.dest)));
+    if (!present.some(Boolean)) continue;
+
+    const failures = [];
+    for (const file of files) {
+      let expected = expectedFor(file);
+      const unrecorded = !expected;
+      if (unrecorded) expected = { size: await remoteSize(file.url) };
+      const result = await verifyVoiceFile(file, expected);
+      if (!result.ok) failures.push(`${path.basename(file.dest)}: ${result.reason}`);
+      else if (unrecorded && expected.size) await recordChecksum(file);
+    }
+    if (!failures.length) continue;
+
+    console.warn(`Voice ${model.name} failed verification (${failures.join('; ')}), re-downloading.`);
+    try {
+      await installVoice(model.name, { pythonPath }).promise;
+      repaired += 1;
+    } catch (err) {
+      console.error(`Could not repair voice ${model.name}: ${err.message}`);
+    }
+  }
+  return repaired;
+}
+
+async function uninstallVoice(name) {
+  const current = installs.get(name);
+  if (current && !current.finishedAt) {
+    throw httpError(409, `Voice is still installing: ${name}`);
+  }
+  const ttsConfig = ttsConfigs[name];
+  const { modelPath, configPath } = modelPaths(name);
+  const paths = [
+    ttsConfig?.modelPath || modelPath,
+    ttsConfig?.configPath || configPath,
+    path.join(TTS_CONFIG_DIR, `${name}.json`),
+  ];
+  const present = await Promise.all(paths.map(fileExists));
+  if (!ttsConfig && !present.some(Boolean)) {
+    throw apiError('VOICE_NOT_FOUND', `Voice not installed: ${name}`);
+  }
+
+  unregisterTtsConfig(name);
+  await Promise.all(paths.map((p) => fs.promises.rm(p, { force: true })));
+  installs.delete(name);
+  return { name, state: 'not_installed' };
+}
+
+module.exports = {
+  PIPER_DIR,
+  MODELS_DIR,
+  VOICE_MODELS,
+  LANGUAGE_MAP,
+  QUALITIES,
+  languageName,
+  parseVoiceName,
+  modelPaths,
+  listVoices,
+  getVoice,
+  withDownloadSizes,
+  preinstallVoiceNames,
+  writeVoiceConfig,
+  installVoice,
+  uninstallVoice,
+  verifyInstalledVoices,
+  getInstallStatus,
+  listInstallStatus,
+};
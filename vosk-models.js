@@ -0,0 +1,285 @@
+const fs = require('fs-extra');
+const path = require('path');
+const vosk = require("vosk");
+const unzipper = require('unzipper');
+const { config } = require("./config");
+const { httpError, apiError } = require('./errors');
+const { downloadFile, pipelineAsync } = require('./download');
+const logger = console;
+
+const MODEL_DIR = './model';
+const MODEL_BASE_URL = 'https://alphacephei.com/vosk/models';
+
+// language -> { language, model, url }. config.voskModels maps languages to model names
+// (or { model, url }); config.voskModel stays the model for config.voskLanguage.
+function configuredModels() {
+  const models = new Map();
+  const add = (language, entry) => {
+    const spec = typeof entry === 'string' ? { model: entry } : { ...entry };
+    if (!spec.model) return;
+    const key = String(language).toLowerCase();
+    models.set(key, { language: key, model: spec.model, url: spec.url || `${MODEL_BASE_URL}/${spec.model}.zip` });
+  };
+  if (config.voskModel) add(defaultLanguage(), config.voskModel);
+  for (const [language, entry] of Object.entries(config.voskModels || {})) add(language, entry);
+  return models;
+}
+
+function defaultLanguage() {
+  return String(config.voskLanguage || 'en').toLowerCase();
+}
+
+function modelPath(modelName) {
+  return path.join(MODEL_DIR, modelName);
+}
+
+// "en-US" tries en-us, then en; no language means the default model
+function resolveVoskModel(language) {
+  const models = configuredModels();
+  const requested = String(language || defaultLanguage()).toLowerCase().replace('_', '-');
+  const spec = models.get(requested) || models.get(requested.split('-')[0]);
+  if (!spec) {
+    throw httpError(400, `No Vosk model for language: ${requested} (available: ${[...models.keys()].join(', ') || 'none'})`);
+  }
+  return spec;
+}
+
+// ——— Loaded models: refcounted, evicted least-recently-used within count and size limits ———
+
+const loaded = new Map(); // model name -> { model, users, lastUsed, bytes }
+const loading = new Map(); // model name -> Promise
+
+function maxLoadedModels() {
+  return Math.max(1, parseInt(config.voskMaxLoadedModels, 10) || 2);
+}
+
+// Model memory is estimated from its size on disk; 0 disables the byte limit
+function maxLoadedBytes() {
+  const value = Number(config.voskMaxModelBytes);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+async function directorySize(dir) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await directorySize(full) : (await fs.stat(full)).size;
+  }
+  return total;
+}
+
+function loadedBytes() {
+  let total = 0;
+  for (const entry of loaded.values()) total += entry.bytes;
+  return total;
+}
+
+// Free idle models until the limits hold; models with active recognizers are never freed
+function evictModels(incomingBytes = 0, incomingCount = 0) {
+  const byAge = [...loaded.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [name, entry] of byAge) {
+    const overCount = loaded.size + incomingCount > maxLoadedModels();
+    const overBytes = maxLoadedBytes() && loadedBytes() + incomingBytes > maxLoadedBytes();
+    if (!overCount && !overBytes) break;
+    if (entry.users > 0) continue;
+    entry.model.free();
+    loaded.delete(name);
+    logger.info(`Unloaded Vosk model ${name}`);
+  }
+}
+
+async function loadModel(spec) {
+  const dir = modelPath(spec.model);
+  if (!(await fs.pathExists(dir))) {
+    // Still downloading on first boot, or never installed; /readyz and /admin/vosk-models have the details
+    throw httpError(503, `Vosk model for ${spec.language} is not installed: ${spec.model}`, { 'Retry-After': '30' });
+  }
+  const bytes = await directorySize(dir);
+  evictModels(bytes, 1);
+  vosk.setLogLevel(0);
+  const model = new vosk.Model(dir);
+  loaded.set(spec.model, { model, users: 0, lastUsed: Date.now(), bytes });
+  console.log(`✅ Vosk model loaded: ${spec.model}`);
+}
+
+// Borrow the model for a language; call release() once the recognizer is freed
+async function acquireVoskModel(language) {
+  const spec = resolveVoskModel(language);
+  if (!loaded.has(spec.model)) {
+    if (!loading.has(spec.model)) {
+      loading.set(spec.model, loadModel(spec).finally(() => loading.delete(spec.model)));
+    }
+    await loading.get(spec.model);
+  }
+  const entry = loaded.get(spec.model);
+  entry.users += 1;
+  entry.lastUsed = Date.now();
+  let released = false;
+  return {
+    model: entry.model,
+    name: spec.model,
+    language: spec.language,
+    release: () => {
+      if (released) return;
+      released = true;
+      entry.users -= 1;
+      entry.lastUsed = Date.now();
+      // a model loaded while this one was busy may have left us over the limits
+      evictModels();
+    },
+  };
+}
+
+// ——— Installing model zips ———
+
+const installs = new Map(); // language -> { state, model, error, promise }
+
+async function extractZip(zipPath, extractTo) {
+  console.log(`Extracting ${zipPath} to ${extractTo}`);
+  await pipelineAsync(
+    fs.createReadStream(zipPath),
+    unzipper.Extract({ path: extractTo })
+  );
+  console.log('Extraction complete.');
+}
+
+async function runInstall(spec, status) {
+  const zipPath = path.join(MODEL_DIR, `${spec.model}.zip`);
+  // Extract into a staging directory and move the model into place once complete,
+  // so an interrupted extraction never looks like an installed model
+  const stagingPath = path.join(MODEL_DIR, `.extract-${spec.model}`);
+  await fs.mkdir(MODEL_DIR, { recursive: true });
+
+  status.state = 'downloading';
+  await downloadFile(spec.url, zipPath, {
+    onProgress: (received, total) => (status.progress = total ? received / total : null),
+  });
+
+  status.state = 'extracting';
+  await fs.remove(stagingPath);
+  await extractZip(zipPath, stagingPath);
+  let extracted = path.join(stagingPath, spec.model);
+  if (!(await fs.pathExists(extracted))) {
+    // Zips whose top-level folder is not named after the model
+    const entries = (await fs.readdir(stagingPath, { withFileTypes: true })).filter((e) => e.isDirectory());
+    extracted = entries.length === 1 ? path.join(stagingPath, entries[0].name) : stagingPath;
+  }
+  await fs.move(extracted, modelPath(spec.model), { overwrite: true });
+  await fs.remove(stagingPath);
+  await fs.remove(zipPath);
+  status.state = 'installed';
+  status.progress = 1;
+  console.log(`Vosk model ${spec.model} is ready.`);
+}
+
+// Download and extract the model for a language; concurrent calls share one install
+function installVoskModel(language) {
+  const spec = resolveVoskModel(language);
+  const current = installs.get(spec.language);
+  if (current && ['downloading', 'extracting'].includes(current.state)) return current;
+
+  if (fs.existsSync(modelPath(spec.model))) {
+    const status = { language: spec.language, model: spec.model, state: 'installed', progress: 1, error: null };
+    status.promise = Promise.resolve(status);
+    return status;
+  }
+  const status = { language: spec.language, model: spec.model, state: 'downloading', progress: 0, error: null };
+  installs.set(spec.language, status);
+  status.promise = (async () => {
+    try {
+      await runInstall(spec, status);
+      return status;
+    } catch (err) {
+      status.state = 'failed';
+      status.error = err.message;
+      throw err;
+    }
+  })();
+  status.promise.catch(() => {});
+  return status;
+}
+
+// Files every Vosk model directory has, whatever its size
+const REQUIRED_MODEL_FILES = [path.join('am', 'final.mdl'), path.join('conf', 'mfcc.conf')];
+
+async function checkModelDir(dir) {
+  for (const file of REQUIRED_MODEL_FILES) {
+    const stat = await fs.stat(path.join(dir, file)).catch(() => null);
+    if (!stat) return `${file} is missing`;
+    if (!stat.size) return `${file} is empty`;
+  }
+  return null;
+}
+
+// Startup scan: drop staging directories an interrupted extraction left behind, and remove any
+// configured model whose directory is incomplete so the install that follows fetches it again
+async function verifyInstalledVoskModels() {
+  if (!(await fs.pathExists(MODEL_DIR))) return [];
+  for (const entry of await fs.readdir(MODEL_DIR)) {
+    if (entry.startsWith('.extract-')) await fs.remove(path.join(MODEL_DIR, entry));
+  }
+  const removed = [];
+  for (const spec of configuredModels().values()) {
+    const dir = modelPath(spec.model);
+    if (loaded.has(spec.model) || !(await fs.pathExists(dir))) continue;
+    const problem = await checkModelDir(dir);
+    if (!problem) continue;
+    logger.warn(`Vosk model ${spec.model} failed verification (${problem}), removing it for a fresh install.`);
+    await fs.remove(dir);
+    removed.push(spec.model);
+  }
+  return removed;
+}
+
+async function uninstallVoskModel(language) {
+  const spec = resolveVoskModel(language);
+  const entry = loaded.get(spec.model);
+  if (entry && entry.users > 0) throw httpError(409, `Vosk model ${spec.model} is in use`);
+  const install = installs.get(spec.language);
+  if (install && ['downloading', 'extracting'].includes(install.state)) {
+    throw httpError(409, `Vosk model ${spec.model} is being installed`);
+  }
+  if (!(await fs.pathExists(modelPath(spec.model)))) throw apiError('MODEL_NOT_FOUND', `Vosk model not installed: ${spec.model}`);
+  if (entry) {
+    entry.model.free();
+    loaded.delete(spec.model);
+  }
+  await fs.remove(modelPath(spec.model));
+  installs.delete(spec.language);
+  return { language: spec.language, model: spec.model, removed: true };
+}
+
+function describeModel(spec) {
+  const install = installs.get(spec.language);
+  const entry = loaded.get(spec.model);
+  return {
+    language: spec.language,
+    model: spec.model,
+    url: spec.url,
+    default: spec.language === defaultLanguage(),
+    installed: fs.existsSync(modelPath(spec.model)),
+    loaded: Boolean(entry),
+    users: entry ? entry.users : 0,
+    install: install ? { state: install.state, progress: install.progress, error: install.error } : null,
+  };
+}
+
+function listVoskModels() {
+  return [...configuredModels().values()].map(describeModel);
+}
+
+function getVoskModel(language) {
+  return describeModel(resolveVoskModel(language));
+}
+
+module.exports = {
+  defaultLanguage,
+  resolveVoskModel,
+  acquireVoskModel,
+  installVoskModel,
+  verifyInstalledVoskModels,
+  uninstallVoskModel,
+  listVoskModels,
+  getVoskModel,
+  extractZip,
+};